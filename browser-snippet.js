@@ -1,100 +1,1527 @@
-(() => {
-  const normalizeAmount = (amount) =>
-    amount
-      .replace(/\$/, '')
-      .replace(/-/, '')
-      .replace(/\s/g, '')
-      .replace(',', '.');
+(async () => {
+  const CONFIG = {
+    // Credit-card pages show both dates; pick which one goes in the Date column: 'transaction' or 'posted'
+    cardDate: 'transaction',
+    // Output format: 'csv', 'ofx', 'qfx', 'qif' or 'json'
+    format: 'csv',
+    // Account details written into OFX/QFX statements
+    ofx: {
+      bankId: '003',
+      accountId: '',
+      currency: 'CAD',
+      // Quicken's financial-institution id (INTU.BID); copy it from a QFX file RBC gave you
+      intuBid: '',
+    },
+    // false: one merged file with Account/Section columns; true: a zip with one file per account
+    splitByAccount: false,
+    // Click RBC's "show more"/next-page control until untilDate (YYYY-MM-DD) or the end of history
+    loadMore: {
+      enabled: false,
+      untilDate: '',
+      maxPages: 50,
+      // How long to wait for new rows after each click
+      timeoutMs: 10000,
+    },
+    // Remember every exported row so later runs can skip what the ledger already has
+    dedupe: {
+      // 'all' exports everything; 'new' only rows that weren't in a previous export
+      mode: 'all',
+      // Record this export's rows in localStorage once the download link is clicked
+      remember: true,
+      // Paste the contents of a saved state file here to use it instead of localStorage
+      state: '',
+      // Also offer the updated state as a JSON file next to the export
+      stateFile: false,
+    },
+    // Only export rows that pass every filter
+    filters: {
+      // Inclusive ISO dates (YYYY-MM-DD); empty means open-ended
+      from: '',
+      to: '',
+      // 'all', 'debit' or 'credit'
+      direction: 'all',
+      // Dollars; rows smaller than this are left out
+      minAmount: 0,
+      // Description regexes (case-insensitive): keep rows matching any include, drop rows matching any exclude
+      include: [],
+      exclude: [],
+    },
+    // Recompute the running balance and compare it with RBC's Total column:
+    // 'warn' prints the report, 'abort' also refuses to export on a mismatch, 'off' skips it
+    reconcile: 'warn',
+    // Split RBC descriptions into Type, Payee, Reference and Location columns
+    parseDescriptions: true,
+    // Ordered categorization rules; the first match sets Category and Payee
+    categories: {
+      // JSON array pasted here, e.g.
+      // [{ "contains": "TIM HORTONS", "category": "Coffee", "payee": "Tim Hortons" },
+      //  { "pattern": "^PAYROLL", "direction": "credit", "category": "Income" },
+      //  { "min": 1000, "direction": "debit", "category": "Large purchase" }]
+      // Leave empty to use the rules saved in localStorage.
+      rules: '',
+      // Save pasted rules to localStorage for next time
+      save: true,
+    },
+  };
+
+  const TABLE_SELECTOR = 'table.rbc-transaction-list-table';
+
+  const CSV_COLUMNS = [
+    ['Date', record => record.date],
+    ['Description', record => record.description],
+    ['Transaction', record => record.transactionId],
+    ['Debit', record => formatCents(record.debit)],
+    ['Credit', record => formatCents(record.credit)],
+    ['Total', record => formatCents(record.total)],
+  ];
+
+  // Only added when they carry information: Account and Section when rows differ, the rest
+  // when rows have them. CONFIG.parseDescriptions (on by default) gives every row Payee,
+  // Type, Reference and Location, so only with it off does a plain export keep six columns.
+  const mixesValues = read => records => new Set(records.map(read)).size > 1;
+  const hasValues = read => records => records.some(record => read(record) !== undefined);
+
+  const OPTIONAL_CSV_COLUMNS = [
+    ['Account', record => record.account, mixesValues(record => record.account)],
+    ['Section', record => record.section, mixesValues(record => record.section)],
+    ['Currency', record => record.currency, records => records.some(record => record.currency && record.currency !== 'CAD')],
+    ['Category', record => record.category, hasValues(record => record.category)],
+    ['Payee', record => record.payee, hasValues(record => record.payee)],
+    ['Type', record => record.type, hasValues(record => record.type)],
+    ['Reference', record => record.reference, hasValues(record => record.reference)],
+    ['Location', record => record.location, hasValues(record => record.location)],
+    ['Original Amount', record => formatCents(record.originalAmount), hasValues(record => record.originalAmount)],
+    ['Original Currency', record => record.originalCurrency, hasValues(record => record.originalCurrency)],
+    ['FX Rate', record => record.fxRate, hasValues(record => record.fxRate)],
+    ['Transfer', record => record.transferId, hasValues(record => record.transferId)],
+    ['Transfer Type', record => record.transferType, hasValues(record => record.transferType)],
+  ];
+
+  // English and French month names, looked up by whole word, then 4, then 3 letters.
+  const MONTHS = {
+    jan: '01', feb: '02', mar: '03', apr: '04', may: '05', jun: '06',
+    jul: '07', aug: '08', sep: '09', oct: '10', nov: '11', dec: '12',
+    janv: '01', févr: '02', fevr: '02', mars: '03', avr: '04', mai: '05', juin: '06',
+    juil: '07', août: '08', aout: '08', sept: '09', déc: '12',
+  };
+
+  const CURRENCY_PATTERNS = [
+    ['USD', /US\s?\$|\$\s?US\b|\bUSD\b/i],
+    ['CAD', /CA?\s?\$|\$\s?CA\b|\bCAD\b/i],
+  ];
+
+  // Parses RBC money cells in English and French-Canadian formats: "$1,234.56",
+  // "1 234,56 $", "(12.34)", "12.34 CR", "-US$5.00", "USD 5.00". Minus signs, parentheses
+  // and CR make the amount negative; DR is the default direction. Returns
+  // { cents, currency } with currency '' when the cell only shows "$", null for an
+  // empty cell, and throws on anything else so bad cells get reported instead of exported.
+  const parseMoney = (text) => {
+    let value = String(text ?? '').replace(/\s+/g, ' ').trim();
+    if (!value || /^[-–—]$/.test(value)) return null;
+
+    let negative = false;
+    let currency = '';
+
+    const currencyMatch = CURRENCY_PATTERNS.find(([, pattern]) => pattern.test(value));
+    if (currencyMatch) {
+      currency = currencyMatch[0];
+      value = value.replace(currencyMatch[1], ' ');
+    }
+    value = value.replace(/\$/g, ' ').trim();
+
+    if (/\bCR$/i.test(value)) {
+      negative = true;
+      value = value.replace(/\bCR$/i, '').trim();
+    } else {
+      value = value.replace(/\bDR$/i, '').trim();
+    }
+    if (/^\(.*\)$/.test(value)) {
+      negative = !negative;
+      value = value.slice(1, -1).trim();
+    }
+    if (/^[-−–]|[-−–]$/.test(value)) {
+      negative = !negative;
+      value = value.replace(/^[-−–]|[-−–]$/, '');
+    }
+    value = value.replace(/\s/g, '');
+
+    if (!/^[\d.,]*\d[\d.,]*$/.test(value)) {
+      throw new Error(`Could not parse amount "${String(text).trim()}".`);
+    }
+
+    // With both separators the last one is the decimal point. With one kind, a single
+    // separator followed by exactly three digits ("1,234") is a thousands separator, and
+    // groups can't follow a leading zero ("0.123" is an error, not $123).
+    const lastComma = value.lastIndexOf(',');
+    const lastDot = value.lastIndexOf('.');
+    let decimalSeparator = '';
+    if (lastComma >= 0 && lastDot >= 0) {
+      decimalSeparator = lastComma > lastDot ? ',' : '.';
+    } else if (lastComma >= 0 || lastDot >= 0) {
+      const separator = lastComma >= 0 ? ',' : '.';
+      const parts = value.split(separator);
+      decimalSeparator = parts.length === 2 && parts[1].length !== 3 ? separator : '';
+    }
 
-  const extractDateFromId = (id) => {
-    const match = id.match(/\d{4}-\d{2}-\d{2}/);
-    if (!match) {
-      throw new Error(`Could not extract a valid date from id "${id}".`);
+    const splitAt = decimalSeparator ? value.lastIndexOf(decimalSeparator) : value.length;
+    const wholeText = value.slice(0, splitAt);
+    const whole = wholeText.replace(/[.,]/g, '');
+    const fraction = value.slice(splitAt + 1);
+    if (!/^(\d*|[1-9]\d{0,2}([.,]\d{3})+)$/.test(wholeText) || !/^\d{0,2}$/.test(fraction)) {
+      throw new Error(`Could not parse amount "${String(text).trim()}".`);
+    }
+
+    const cents = Number(whole || '0') * 100 + Number(fraction.padEnd(2, '0'));
+    return { cents: negative ? -cents : cents, currency };
+  };
+
+  const parseCents = (text) => parseMoney(text)?.cents ?? null;
+
+  // Foreign purchases show the original amount and rate next to the description or amount:
+  // "USD 12.34 @ 1.3700", "12.34 USD @ 1.37" or "USD $12.34 Exchange rate 1.3700".
+  const FX_PATTERN = /(?:([A-Z]{3}) ?\$? ?(\d[\d.,]*)|(\d[\d.,]*) ?([A-Z]{3}))\s*(?:@|[Ee]xchange [Rr]ate:?|[Tt]aux(?: de change)?:?)\s*(\d+(?:[.,]\d+)?)/;
+
+  // Returns { originalAmount, originalCurrency, fxRate, text } or null; text is the matched
+  // part, so callers can take it out of the description.
+  const parseForeignAmount = (text) => {
+    const match = String(text ?? '').match(FX_PATTERN);
+    if (!match) return null;
+    try {
+      return {
+        originalAmount: parseCents(match[2] || match[3]),
+        originalCurrency: match[1] || match[4],
+        fxRate: Number(match[5].replace(',', '.')),
+        text: match[0],
+      };
+    } catch {
+      return null;
     }
-    return match[0];
   };
 
-  const createDownloadLink = (linkElement, content) => {
+  // USD accounts are named that way ("RBC US High Interest eSavings", "U.S. Dollar Account").
+  const accountCurrencyFor = account =>
+    (/\bUS\b|\bU\.S\.|\bUSD\b|US\$|dollars? américains?/i.test(account) ? 'USD' : 'CAD');
+
+  // OFX bank account type; savings accounts say so too ("RBC High Interest eSavings", "Compte d'épargne").
+  const ofxAccountTypeFor = account => (/savings|[ée]pargne/i.test(account) ? 'SAVINGS' : 'CHECKING');
+
+  const formatCents = (cents) => (cents == null ? '' : (cents / 100).toFixed(2));
+
+  const monthNumber = (word) => {
+    const key = word.toLowerCase().replace(/\.$/, '');
+    return MONTHS[key] || MONTHS[key.slice(0, 4)] || MONTHS[key.slice(0, 3)] || '';
+  };
+
+  // "Jun 3, 2025", "June 3 2025", "3 juin 2025", "1er juin 2025" or "2025-06-03"; '' otherwise.
+  const parseDisplayDate = (text) => {
+    const value = String(text ?? '').replace(/\s+/g, ' ').trim();
+    const iso = value.match(/\b\d{4}-\d{2}-\d{2}\b/);
+    if (iso) return iso[0];
+
+    const monthFirst = value.match(/([A-Za-zÀ-ÿ]+\.?) (\d{1,2}),? (\d{4})\b/);
+    const dayFirst = value.match(/\b(\d{1,2})(?:er)? ([A-Za-zÀ-ÿ]+\.?),? (\d{4})\b/);
+    let parts = null;
+    if (monthFirst && monthNumber(monthFirst[1])) {
+      parts = { month: monthNumber(monthFirst[1]), day: monthFirst[2], year: monthFirst[3] };
+    } else if (dayFirst && monthNumber(dayFirst[2])) {
+      parts = { month: monthNumber(dayFirst[2]), day: dayFirst[1], year: dayFirst[3] };
+    }
+    return parts ? `${parts.year}-${parts.month}-${parts.day.padStart(2, '0')}` : '';
+  };
+
+  // The id is the most reliable source, but RBC doesn't always put the date there,
+  // so fall back to a <time datetime> and then to the visible text.
+  const extractDateFromCell = (cell) => {
+    const fromId = (cell.id || '').match(/\d{4}-\d{2}-\d{2}/);
+    if (fromId) return fromId[0];
+    return parseDisplayDate(cell.querySelector('time')?.getAttribute('datetime'))
+      || parseDisplayDate(cell.textContent);
+  };
+
+  const toCsvLine = (values) =>
+    values.map(value => `"${String(value ?? '').replace(/"/g, '""')}"`).join(',');
+
+
+  const signedAmount = ({ debit, credit }) => (credit || 0) - (debit || 0);
+
+  const escapeXml = (text) =>
+    text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+  // FITIDs have to be stable across downloads or importers will duplicate rows,
+  // so hash the row contents when RBC gave us no transaction id.
+  const hashString = (text, multiplier = 31) => {
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+      hash = (hash * multiplier + text.charCodeAt(i)) >>> 0;
+    }
+    return hash.toString(16);
+  };
+
+  const fitIdFor = (record) => {
+    const compactDate = record.date.replace(/-/g, '');
+    if (record.transactionId) return `${compactDate}-${record.transactionId}`;
+
+    const key = [record.date, record.description, record.debit, record.credit, record.total].join('|');
+    return `${compactDate}-${hashString(key)}`;
+  };
+
+  const csvColumnsFor = records => [
+    ...CSV_COLUMNS,
+    ...OPTIONAL_CSV_COLUMNS.filter(([, , include]) => include(records)),
+  ];
+
+  const renderCsv = (records) => {
+    const columns = csvColumnsFor(records);
+    return [
+      toCsvLine(columns.map(([name]) => name)),
+      ...records.map(record => toCsvLine(columns.map(([, read]) => read(record)))),
+    ].join('\n');
+  };
+
+  const renderOfx = (records, { accountType, accountNumber, quicken = false }) => {
+    const { bankId, currency, intuBid } = CONFIG.ofx;
+    const accountId = CONFIG.ofx.accountId || accountNumber || '';
+    const toOfxDate = (date) => date.replace(/-/g, '');
+    const now = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    const dates = records.map(record => record.date).sort();
+    const latestWithTotal = [...records].reverse().find(record => record.total != null);
+    const isCard = accountType === 'card';
+
+    if (quicken && !intuBid) {
+      console.warn('CONFIG.ofx.intuBid is empty; Quicken may refuse the QFX file.');
+    }
+
+    const transactions = records.map((record) => {
+      const amount = signedAmount(record);
+      return [
+        '<STMTTRN>',
+        `<TRNTYPE>${amount < 0 ? 'DEBIT' : 'CREDIT'}</TRNTYPE>`,
+        `<DTPOSTED>${toOfxDate(record.date)}</DTPOSTED>`,
+        `<TRNAMT>${formatCents(amount)}</TRNAMT>`,
+        `<FITID>${fitIdFor(record)}</FITID>`,
+        `<NAME>${escapeXml((record.payee || record.description).slice(0, 32))}</NAME>`,
+        `<MEMO>${escapeXml(record.description)}</MEMO>`,
+        ...(record.originalCurrency && record.fxRate
+          ? [`<ORIGCURRENCY>\n<CURRATE>${record.fxRate}</CURRATE>\n<CURSYM>${record.originalCurrency}</CURSYM>\n</ORIGCURRENCY>`]
+          : []),
+        '</STMTTRN>',
+      ].join('\n');
+    });
+
+    const account = isCard
+      ? `<CCACCTFROM>\n<ACCTID>${escapeXml(accountId)}</ACCTID>\n</CCACCTFROM>`
+      : `<BANKACCTFROM>\n<BANKID>${escapeXml(bankId)}</BANKID>\n<ACCTID>${escapeXml(accountId)}</ACCTID>\n<ACCTTYPE>${ofxAccountTypeFor(records[0]?.account ?? '')}</ACCTTYPE>\n</BANKACCTFROM>`;
+    const [msgSet, trnRs, stmtRs] = isCard
+      ? ['CREDITCARDMSGSRSV1', 'CCSTMTTRNRS', 'CCSTMTRS']
+      : ['BANKMSGSRSV1', 'STMTTRNRS', 'STMTRS'];
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+      '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+      '<OFX>',
+      '<SIGNONMSGSRSV1>',
+      '<SONRS>',
+      '<STATUS>\n<CODE>0</CODE>\n<SEVERITY>INFO</SEVERITY>\n</STATUS>',
+      `<DTSERVER>${now}</DTSERVER>`,
+      '<LANGUAGE>ENG</LANGUAGE>',
+      ...(quicken ? [`<INTU.BID>${escapeXml(intuBid)}</INTU.BID>`] : []),
+      '</SONRS>',
+      '</SIGNONMSGSRSV1>',
+      `<${msgSet}>`,
+      `<${trnRs}>`,
+      '<TRNUID>1</TRNUID>',
+      '<STATUS>\n<CODE>0</CODE>\n<SEVERITY>INFO</SEVERITY>\n</STATUS>',
+      `<${stmtRs}>`,
+      `<CURDEF>${records.find(record => record.currency && record.currency !== 'CAD')?.currency || currency}</CURDEF>`,
+      account,
+      '<BANKTRANLIST>',
+      `<DTSTART>${toOfxDate(dates[0] || '')}</DTSTART>`,
+      `<DTEND>${toOfxDate(dates[dates.length - 1] || '')}</DTEND>`,
+      ...transactions,
+      '</BANKTRANLIST>',
+      '<LEDGERBAL>',
+      `<BALAMT>${latestWithTotal ? formatCents(latestWithTotal.total) : '0.00'}</BALAMT>`,
+      `<DTASOF>${now}</DTASOF>`,
+      '</LEDGERBAL>',
+      `</${stmtRs}>`,
+      `</${trnRs}>`,
+      `</${msgSet}>`,
+      '</OFX>',
+    ].join('\n');
+  };
+
+  const renderQif = (records, { accountType }) => {
+    const lines = [accountType === 'card' ? '!Type:CCard' : '!Type:Bank'];
+    records.forEach((record) => {
+      const [year, month, day] = record.date.split('-');
+      lines.push(`D${month}/${day}/${year}`);
+      lines.push(`T${formatCents(signedAmount(record))}`);
+      lines.push(`P${record.payee || record.description}`);
+      if (record.payee) lines.push(`M${record.description}`);
+      if (record.category) lines.push(`L${record.category}`);
+      if (record.transactionId) lines.push(`N${record.transactionId}`);
+      lines.push('^');
+    });
+    return lines.join('\n');
+  };
+
+  // Every field the pipeline filled in, with amounts in dollars rather than cents.
+  const renderJson = (records) => {
+    // Leaves undefined alone, so records without a foreign amount don't grow the key
+    const toDollars = cents => (cents == null ? cents : cents / 100);
+    return JSON.stringify(records.map(record => ({
+      ...record,
+      debit: toDollars(record.debit),
+      credit: toDollars(record.credit),
+      total: toDollars(record.total),
+      originalAmount: toDollars(record.originalAmount),
+    })), null, 2);
+  };
+
+  // multiAccount formats can hold several accounts in one file; the others get a zip.
+  const FORMATS = {
+    csv: { extension: 'csv', mimeType: 'text/csv', label: 'CSV', render: renderCsv, multiAccount: true },
+    ofx: { extension: 'ofx', mimeType: 'application/x-ofx', label: 'OFX', render: renderOfx },
+    qfx: {
+      extension: 'qfx',
+      mimeType: 'application/vnd.intu.qfx',
+      label: 'QFX',
+      render: (records, options) => renderOfx(records, { ...options, quicken: true }),
+    },
+    qif: { extension: 'qif', mimeType: 'application/qif', label: 'QIF', render: renderQif },
+    json: { extension: 'json', mimeType: 'application/json', label: 'JSON', render: renderJson, multiAccount: true },
+  };
+
+  const getFormat = (format) => {
+    const spec = FORMATS[format];
+    if (!spec) {
+      throw new Error(`Unknown format "${format}". Use one of: ${Object.keys(FORMATS).join(', ')}.`);
+    }
+    return spec;
+  };
+
+  const ZIP_FORMAT = { extension: 'zip', mimeType: 'application/zip', label: 'ZIP' };
+
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  };
+
+  // Store-only zip (no compression): plenty for a handful of small text files, and no library needed.
+  const createZip = (files) => {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(({ name, content }) => {
+      const nameBytes = encoder.encode(name);
+      const data = encoder.encode(content);
+      const crc = crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true); // UTF-8 file names
+      local.setUint16(8, 0, true); // stored
+      local.setUint16(10, dosTime, true);
+      local.setUint16(12, dosDate, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, nameBytes.length, true);
+      localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true);
+      central.setUint16(4, 20, true);
+      central.setUint16(6, 20, true);
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, dosTime, true);
+      central.setUint16(14, dosDate, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, nameBytes.length, true);
+      central.setUint32(42, offset, true);
+      centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+      offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(offset + centralSize + 22);
+    let position = 0;
+    parts.forEach((part) => {
+      zip.set(part, position);
+      position += part.length;
+    });
+    return zip;
+  };
+
+  const toFileName = (text) =>
+    text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'account';
+
+  const createDownloadLink = (linkElement, content, { extension, mimeType, label, fileName }) => {
     if (linkElement?.nodeName !== 'A') {
       throw new Error(`Expected an anchor <a> element for download.`);
     }
-    const blob = new Blob([content], { type: 'text/csv' });
+    if (linkElement.href.startsWith('blob:')) {
+      URL.revokeObjectURL(linkElement.href);
+    }
+    const blob = new Blob([content], { type: mimeType });
     const url = URL.createObjectURL(blob);
     linkElement.href = url;
-    linkElement.download = 'transactions.csv';
-    linkElement.innerHTML = '<span>CSV</span>';
+    linkElement.download = fileName || `transactions.${extension}`;
+    linkElement.innerHTML = `<span>${label}</span>`;
+  };
+
+  const ACCOUNT_NAME_SELECTOR = '[class*="account-name"], [class*="accountName"], [data-account-name]';
+  const ACCOUNT_NUMBER_SELECTOR = '[class*="account-number"], [class*="accountNumber"], [data-account-number]';
+  const ACCOUNT_NUMBER_PATTERN = /\d{5}-\d{7}|\d{4}(?:[\s*]+\d{2,4}){2,3}|\*+\s?\d{4}/;
+
+  // Walk up from the table until an ancestor holds an account name or number.
+  const findAccountForTable = (table, index) => {
+    for (let node = table.parentElement; node; node = node.parentElement) {
+      const nameElement = node.querySelector(ACCOUNT_NAME_SELECTOR);
+      const numberElement = node.querySelector(ACCOUNT_NUMBER_SELECTOR);
+      if (!nameElement && !numberElement) continue;
+
+      const name = (nameElement?.textContent || '').replace(/\s+/g, ' ').trim();
+      const numberText = (numberElement?.textContent || name).replace(/\s+/g, ' ').trim();
+      const number = numberText.match(ACCOUNT_NUMBER_PATTERN)?.[0] || '';
+      return {
+        account: [name.replace(number, '').trim(), number].filter(Boolean).join(' ') || `Account ${index + 1}`,
+        accountNumber: number.replace(/\D/g, ''),
+      };
+    }
+    return { account: `Account ${index + 1}`, accountNumber: '' };
+  };
+
+  // Pending and posted activity are separate tables; the caption or the nearest heading says which.
+  const findSectionForTable = (table) => {
+    let label = table.querySelector('caption')?.textContent || table.getAttribute('aria-label') || '';
+    for (let node = table; !label && node; node = node.parentElement) {
+      for (let sibling = node.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+        if (/^H[1-6]$/.test(sibling.nodeName) || sibling.matches('[role="heading"]')) {
+          label = sibling.textContent || '';
+          break;
+        }
+      }
+    }
+    return /pending|en attente|autoris/i.test(label) ? 'pending' : 'posted';
   };
 
-  const findTableWithMostRows = () => {
-    const tables = document.querySelectorAll('table.rbc-transaction-list-table');
+  const findTransactionTables = (root = document) => {
+    const tables = root.querySelectorAll(TABLE_SELECTOR);
     if (!tables.length) {
       throw new Error('No transaction tables found.');
     }
 
-    let bestTable = null;
-    let maxRows = 0;
-
-    tables.forEach((table) => {
+    return Array.from(tables).map((table, index) => {
+      const { account, accountNumber } = findAccountForTable(table, index);
+      const section = findSectionForTable(table);
       const rowCount = table.querySelectorAll('tbody tr').length;
-      console.log('Table found with', rowCount, 'rows.');
-      if (rowCount > maxRows) {
-        maxRows = rowCount;
-        bestTable = table;
-      }
+      console.log(`Table ${index + 1}: ${account} (${section}) with ${rowCount} rows.`);
+      return { table, account, accountNumber, section };
     });
+  };
+
+  const isCreditCardTable = (table) => {
+    const headerText = (table.querySelector('thead')?.textContent || '').toLowerCase();
+    return /posting date|transaction date|date d'inscription|date de (la )?transaction/.test(headerText)
+      || /credit-?card/i.test(table.ownerDocument.location?.href || '');
+  };
+
+  // Header text (English and French) to column role. Order matters: "Transaction date"
+  // has to win over the plain "Date" and "Transaction" patterns.
+  const COLUMN_PATTERNS = [
+    ['transactionDate', /^(transaction date|date (de la |d')?(transaction|opération))/i],
+    ['postedDate', /^(posting date|posted date|date (d'|de l')?(inscription|comptabilisation|report))/i],
+    ['date', /^date\b/i],
+    ['description', /^(description|details|détails|transaction|opération)/i],
+    ['debit', /^(withdrawals?|debits?|retraits?|débits?)/i],
+    ['credit', /^(deposits?|credits?|dépôts?|crédits?)/i],
+    ['amount', /^(amount|montant)/i],
+    ['total', /^(balance|total|solde)/i],
+  ];
+
+  const DATE_ROLES = ['date', 'transactionDate', 'postedDate'];
+  const AMOUNT_ROLES = ['debit', 'credit', 'amount'];
+
+  // Used when the table has no header row: the layouts RBC has shipped so far.
+  const positionalColumns = (cellCount, isCreditCard) => {
+    if (!isCreditCard) return { date: 0, description: 1, debit: 2, credit: 3, total: 4 };
+    return cellCount >= 5
+      ? { transactionDate: 0, postedDate: 1, description: 2, debit: 3, credit: 4 }
+      : { transactionDate: 0, postedDate: 1, description: 2, amount: 3 };
+  };
 
-    if (!bestTable) {
-      throw new Error('Could not find a suitable transaction table.');
+  // Returns { role: cellIndex } from the header row, or null when there's no header to read.
+  // Throws a diagnostic listing what was found when the headers can't be mapped.
+  const mapColumns = (table) => {
+    const headerRow = table.querySelector('thead tr');
+    const headers = headerRow
+      ? Array.from(headerRow.querySelectorAll('th, td'), cell => cell.textContent.replace(/\s+/g, ' ').trim())
+      : [];
+    if (!headers.some(Boolean)) return null;
+
+    const columns = {};
+    headers.forEach((header, index) => {
+      const match = COLUMN_PATTERNS.find(([role, pattern]) => columns[role] == null && pattern.test(header));
+      if (match) columns[match[0]] = index;
+    });
+
+    const missing = [
+      !DATE_ROLES.some(role => columns[role] != null) && 'date',
+      columns.description == null && 'description',
+      !AMOUNT_ROLES.some(role => columns[role] != null) && 'amount',
+    ].filter(Boolean);
+    if (missing.length) {
+      const roles = Object.fromEntries(Object.entries(columns).map(([role, index]) => [index, role]));
+      const found = headers.map((header, index) => `"${header}" → ${roles[index] || '?'}`).join(', ');
+      const firstRow = table.querySelector('tbody tr');
+      const sample = firstRow
+        ? Array.from(firstRow.querySelectorAll('th, td'), cell => cell.textContent.replace(/\s+/g, ' ').trim()).join(' | ')
+        : '(no rows)';
+      console.table(headers.map((header, index) => ({ header, role: roles[index] || '' })));
+      throw new Error(`Could not map the table's columns (missing ${missing.join(', ')}). Headers found: ${found}. First row: ${sample}.`);
     }
+    return columns;
+  };
 
-    console.log('Selected table with', maxRows, 'rows.');
-    return bestTable;
+  // textContent runs "<div>$150.00</div><div>150.00 EUR</div>" together into one number;
+  // this keeps a space wherever the markup had a break.
+  const cellText = (cell) => {
+    const walker = cell.ownerDocument.createTreeWalker(cell, 4 /* NodeFilter.SHOW_TEXT */);
+    const parts = [];
+    while (walker.nextNode()) parts.push(walker.currentNode.nodeValue);
+    return parts.join(' ');
   };
 
-  const extractTransactions = (table) => {
+  const skipRow = (skipped, row, reason) => {
+    console.warn(`Skipping row ${row}: ${reason}`);
+    skipped.push({ row, reason });
+  };
+
+  // Works out each row's cells from the header (or RBC's usual layouts when there is none).
+  // Card pages carry a transaction and a posting date; CONFIG.cardDate picks which one
+  // becomes Date. A single signed amount column puts refunds and payments (negative) in Credit.
+  const extractTransactions = (table, skipped = []) => {
     const rows = Array.from(table.querySelectorAll('tbody tr'));
-    console.log('Extracting', rows.length, 'rows from table.');
+    const isCreditCard = isCreditCardTable(table);
+    const headerColumns = mapColumns(table);
+    console.log('Extracting', rows.length, 'rows from table', headerColumns ? 'by header.' : 'by position.');
 
-    const csvLines = [`"Date","Description","Transaction","Debit","Credit","Total"`];
+    const records = [];
 
     rows.forEach((row, index) => {
-      const cells = row.querySelectorAll('th, td'); // <-- FIXED
-      if (cells.length < 4) {
-        console.warn(`Skipping row ${index + 1} due to insufficient cells.`);
+      const cells = row.querySelectorAll('th, td');
+      if (cells.length && [...cells].every(cell => cell.nodeName === 'TH')) {
+        console.log(`Skipping row ${index + 1} because all cells are <th>.`);
         return;
       }
-      if ([...cells].every(cell => cell.nodeName === 'TH')) {
-        console.log(`Skipping row ${index + 1} because all cells are <th>.`);
+
+      const columns = headerColumns || positionalColumns(cells.length, isCreditCard);
+      const cellFor = role => (columns[role] == null ? null : cells[columns[role]] || null);
+      const hasAmountCell = AMOUNT_ROLES.some(cellFor);
+      if ((!headerColumns && cells.length < 4) || !cellFor('description') || !hasAmountCell) {
+        skipRow(skipped, index + 1, 'insufficient cells.');
         return;
       }
 
-      const [dateCell, descCell, debitCell, creditCell, totalCell] = cells;
+      const readDate = role => (cellFor(role) ? extractDateFromCell(cellFor(role)) : '');
+      const transactionDate = readDate('transactionDate');
+      const postedDate = readDate('postedDate');
+      const date = readDate('date') || (CONFIG.cardDate === 'posted'
+        ? postedDate || transactionDate
+        : transactionDate || postedDate);
+      if (!date) {
+        const dateCell = cellFor('date') || cellFor('transactionDate') || cellFor('postedDate');
+        skipRow(skipped, index + 1, `no date in id "${dateCell?.id || ''}" or text "${(dateCell?.textContent || '').trim()}".`);
+        return;
+      }
+      if (cellFor('postedDate') && !postedDate) {
+        console.log(`Row ${index + 1} has no posting date (pending).`);
+      }
 
-      const date = extractDateFromId(dateCell.id || '');
-      const description = (descCell.textContent || '').trim();
+      // Found anywhere in the row, then cut out of the cell so it isn't read as description or amount.
+      const foreign = Array.from(cells, cell => parseForeignAmount(cellText(cell))).find(Boolean);
+      const textOf = role => (foreign
+        ? cellText(cellFor(role)).replace(foreign.text, ' ').replace(/\s+/g, ' ')
+        : cellFor(role).textContent || '');
+
+      const description = textOf('description').trim();
       const transactionId = /\s-\s(\d+)/.exec(description)?.[1] || '';
-      const debit = normalizeAmount(debitCell.textContent || '');
-      const credit = normalizeAmount(creditCell.textContent || '');
-      const total = cells.length >= 5 ? normalizeAmount(totalCell.textContent || '') : '';
 
-      const safeDesc = description.replace(/"/g, '""');
+      let debit = null;
+      let credit = null;
+      let total = null;
+      let currency = '';
+      try {
+        const readCents = (role) => {
+          const money = cellFor(role) ? parseMoney(textOf(role)) : null;
+          if (money?.currency && role !== 'total') currency = money.currency;
+          return money?.cents ?? null;
+        };
+        const amount = readCents('amount');
+        debit = readCents('debit');
+        credit = readCents('credit');
+        total = readCents('total');
+        if (debit != null) debit = Math.abs(debit);
+        if (credit != null) credit = Math.abs(credit);
+        if (amount != null && amount < 0) credit = -amount;
+        if (amount != null && amount >= 0) debit = amount;
+      } catch (error) {
+        skipRow(skipped, index + 1, error.message);
+        return;
+      }
 
-      csvLines.push(`"${date}","${safeDesc}","${transactionId}","${debit}","${credit}","${total}"`);
+      records.push({
+        date,
+        description,
+        transactionId,
+        debit,
+        credit,
+        total,
+        currency,
+        ...(foreign && {
+          originalAmount: foreign.originalAmount,
+          originalCurrency: foreign.originalCurrency,
+          fxRate: foreign.fxRate,
+        }),
+      });
     });
 
-    return csvLines.join('\n');
+    return records;
   };
 
-  // === Execute ===
-  const table = findTableWithMostRows();
-  const downloadButton = document.querySelector('[rbcportalsubmit="DownloadTransactions"]');
+  const extractTable = ({ table, account, accountNumber, section }, skipped = []) => {
+    const isCreditCard = isCreditCardTable(table);
+    console.log(`${account}: ${isCreditCard ? 'credit-card' : 'chequing'} activity detected.`);
 
-  if (!downloadButton) {
-    throw new Error('Download button not found.');
-  }
+    const tableSkipped = [];
+    let records;
+    try {
+      records = extractTransactions(table, tableSkipped);
+    } catch (error) {
+      console.error(`${account} (${section}): ${error.message}`);
+      records = [];
+      tableSkipped.push({ row: 'all', reason: error.message });
+    }
+    skipped.push(...tableSkipped.map(entry => ({ account, section, ...entry })));
+    const accountType = isCreditCard ? 'card' : 'bank';
+    const currency = accountCurrencyFor(account);
+    return records.map(record => ({
+      ...record,
+      currency: record.currency || currency,
+      account,
+      accountNumber,
+      section,
+      accountType,
+    }));
+  };
+
+  const groupByAccount = (records) => {
+    const groups = new Map();
+    records.forEach((record) => {
+      if (!groups.has(record.account)) groups.set(record.account, []);
+      groups.get(record.account).push(record);
+    });
+    return groups;
+  };
+
+  const renderAccountFiles = (records, format) =>
+    Array.from(groupByAccount(records), ([account, accountRecords]) => ({
+      name: `${toFileName(account)}.${format.extension}`,
+      content: format.render(accountRecords, {
+        accountType: accountRecords[0].accountType,
+        accountNumber: accountRecords[0].accountNumber,
+      }),
+    }));
+
+  const LOAD_MORE_SELECTOR = 'button, a, [role="button"]';
+  const LOAD_MORE_PATTERN = /^(show|load|view) more|more transactions|^next( page)?$|afficher plus|voir plus|^suivant/i;
+
+  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  const findLoadMoreControl = () =>
+    Array.from(document.querySelectorAll(LOAD_MORE_SELECTOR)).find((element) => {
+      const label = (element.getAttribute('aria-label') || element.textContent || '').replace(/\s+/g, ' ').trim();
+      const disabled = element.disabled || element.getAttribute('aria-disabled') === 'true';
+      return !disabled && LOAD_MORE_PATTERN.test(label);
+    });
+
+  // Changes whenever RBC appends rows or swaps in the next page.
+  const readRowSignature = () => {
+    const rows = document.querySelectorAll(`${TABLE_SELECTOR} tbody tr`);
+    return `${rows.length}|${rows[0]?.textContent}|${rows[rows.length - 1]?.textContent}`;
+  };
+
+  const waitForNewRows = async (previousSignature, timeoutMs) => {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      await sleep(250);
+      if (readRowSignature() !== previousSignature) return true;
+    }
+    return false;
+  };
+
+  const recordKey = (record) =>
+    [record.account, record.section, record.date, record.description, record.debit, record.credit, record.total].join('|');
+
+  // A "load more" page re-renders rows we already have, while a "next" page replaces them,
+  // so keep each row as many times as it appears in the busiest snapshot; that collapses
+  // re-rendered rows without merging two genuinely identical purchases on the same day.
+  const harvestTransactions = async ({ untilDate, maxPages, timeoutMs }, skipped = []) => {
+    const harvested = [];
+    const keptCounts = new Map();
+    const skippedReasons = new Set();
+
+    for (let page = 1; ; page++) {
+      const snapshotCounts = new Map();
+      const snapshotSkipped = [];
+      findTransactionTables().flatMap(table => extractTable(table, snapshotSkipped)).forEach((record) => {
+        const key = recordKey(record);
+        const count = (snapshotCounts.get(key) || 0) + 1;
+        snapshotCounts.set(key, count);
+        if (count > (keptCounts.get(key) || 0)) {
+          keptCounts.set(key, count);
+          harvested.push(record);
+        }
+      });
+      snapshotSkipped.forEach((entry) => {
+        const key = `${entry.account}|${entry.section}|${entry.reason}`;
+        if (skippedReasons.has(key)) return;
+        skippedReasons.add(key);
+        skipped.push(entry);
+      });
+
+      const oldest = harvested.reduce((min, record) => (record.date < min ? record.date : min), '9999-12-31');
+      console.log(`Page ${page}: ${harvested.length} unique rows so far, oldest ${oldest}.`);
+
+      if (untilDate && oldest < untilDate) {
+        console.log(`Went past ${untilDate}.`);
+        break;
+      }
+      if (page >= maxPages) {
+        console.warn(`Stopped after ${maxPages} pages; raise CONFIG.loadMore.maxPages to keep going.`);
+        break;
+      }
+
+      const control = findLoadMoreControl();
+      if (!control) {
+        console.log('No "show more" control left; reached the end of history.');
+        break;
+      }
+
+      const signature = readRowSignature();
+      control.click();
+      if (!(await waitForNewRows(signature, timeoutMs))) {
+        console.warn(`No new rows appeared within ${timeoutMs} ms; stopping.`);
+        break;
+      }
+    }
+
+    return untilDate ? harvested.filter(record => record.date >= untilDate) : harvested;
+  };
+
+  // Walks rows oldest-first: each Total should equal the previous Total plus credits minus
+  // debits since. Rows without a Total just carry the balance forward. Pages list rows
+  // newest-first or oldest-first, so the whole list is walked both ways and the direction
+  // that reconciles better wins. Rows on the same day keep the page's order, so a day
+  // listed the other way round from the rest shows up as mismatches.
+  const checkRunningBalance = (records) => {
+    const walk = (ordered) => {
+      const mismatches = [];
+      let balance = null;
+      let checked = 0;
+      ordered.forEach((record) => {
+        if (balance != null) balance += signedAmount(record);
+        if (record.total == null) return;
+        if (balance != null) {
+          checked++;
+          if (balance !== record.total) {
+            mismatches.push({
+              date: record.date,
+              description: record.description,
+              expected: formatCents(balance),
+              total: formatCents(record.total),
+              difference: formatCents(record.total - balance),
+            });
+          }
+        }
+        balance = record.total;
+      });
+      return { checked, mismatches };
+    };
 
-  const csvContent = extractTransactions(table);
-  createDownloadLink(downloadButton, csvContent);
+    const forward = walk(records);
+    const backward = walk([...records].reverse());
+    return backward.mismatches.length < forward.mismatches.length ? backward : forward;
+  };
+
+  // Returns the list of problems found (empty when everything adds up or the check is off).
+  const reconcileRecords = (records, mode) => {
+    if (mode === 'off') return [];
+
+    const summary = [];
+    const problems = [];
+    groupByAccount(records).forEach((accountRecords, account) => {
+      const posted = accountRecords.filter(record => record.section !== 'pending');
+      const pending = accountRecords.filter(record => record.section === 'pending');
+
+      if (!posted.some(record => record.total != null)) {
+        summary.push({ account, rows: accountRecords.length, checked: 0, mismatches: 0, note: 'no running balance to check' });
+        return;
+      }
+
+      const { checked, mismatches } = checkRunningBalance(posted);
+      mismatches.forEach(mismatch => problems.push({ account, ...mismatch }));
+
+      const newestPosted = posted.reduce((max, record) => (record.date > max ? record.date : max), '');
+      const stalePending = pending.filter(record => record.date < newestPosted);
+      stalePending.forEach(record => problems.push({
+        account,
+        date: record.date,
+        description: record.description,
+        note: `pending item older than the newest posted row (${newestPosted})`,
+      }));
+
+      summary.push({ account, rows: accountRecords.length, checked, mismatches: mismatches.length, pending: pending.length });
+    });
+
+    console.log('Reconciliation report:');
+    console.table(summary);
+    if (!problems.length) {
+      console.log(`Running balances match RBC's totals.`);
+      return problems;
+    }
+
+    console.warn(`${problems.length} reconciliation problems; rows may be missing or mis-parsed:`);
+    console.table(problems);
+    if (mode === 'abort') {
+      throw new Error(`Export aborted: running balance does not match RBC's totals. Set CONFIG.reconcile to 'warn' to export anyway.`);
+    }
+    return problems;
+  };
+
+  const compilePatterns = (patterns, name) =>
+    patterns.map((pattern) => {
+      try {
+        return new RegExp(pattern, 'i');
+      } catch (error) {
+        throw new Error(`CONFIG.filters.${name} pattern "${pattern}" is not a valid regex: ${error.message}`);
+      }
+    });
+
+  const filterRecords = (records, { from, to, direction, minAmount, include, exclude }) => {
+    [['from', from], ['to', to]].forEach(([name, value]) => {
+      if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        throw new Error(`CONFIG.filters.${name} must be a YYYY-MM-DD date, got "${value}".`);
+      }
+    });
+    if (!['all', 'debit', 'credit'].includes(direction)) {
+      throw new Error(`CONFIG.filters.direction must be 'all', 'debit' or 'credit', got "${direction}".`);
+    }
+    const includePatterns = compilePatterns(include, 'include');
+    const excludePatterns = compilePatterns(exclude, 'exclude');
+    const minCents = Math.round((minAmount || 0) * 100);
+
+    const kept = records.filter((record) => {
+      const amount = signedAmount(record);
+      return (!from || record.date >= from)
+        && (!to || record.date <= to)
+        && (direction === 'all' || (direction === 'credit' ? amount > 0 : amount < 0))
+        && Math.abs(amount) >= minCents
+        && (!includePatterns.length || includePatterns.some(pattern => pattern.test(record.description)))
+        && !excludePatterns.some(pattern => pattern.test(record.description));
+    });
+
+    if (kept.length !== records.length) {
+      console.log(`Filters kept ${kept.length} of ${records.length} rows.`);
+    }
+    return kept;
+  };
+
+  const STATE_KEY = 'rbc-to-csv:exported';
+  const STATE_FORMAT = {
+    extension: 'json',
+    mimeType: 'application/json',
+    label: 'State',
+    fileName: 'rbc-to-csv-state.json',
+  };
+
+  // Two differently-seeded hashes keep collisions unlikely across years of exports while
+  // storing far less than the raw rows. The occurrence count keeps two identical
+  // purchases on the same day apart.
+  const fingerprintRecords = (records) => {
+    const occurrences = new Map();
+    return records.map((record) => {
+      const key = [record.date, record.description, record.transactionId, signedAmount(record)].join('|');
+      const occurrence = (occurrences.get(key) || 0) + 1;
+      occurrences.set(key, occurrence);
+      return `${hashString(key)}.${hashString(key, 131)}.${occurrence}`;
+    });
+  };
+
+  const loadExportState = (pastedState) => {
+    const raw = pastedState || localStorage.getItem(STATE_KEY);
+    if (!raw) return { version: 1, fingerprints: [] };
+
+    let state;
+    try {
+      state = JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`Could not read export state: ${error.message}`);
+    }
+    if (!Array.isArray(state?.fingerprints)) {
+      throw new Error('Export state has no fingerprints list.');
+    }
+    return state;
+  };
+
+  const saveExportState = (state) => {
+    localStorage.setItem(STATE_KEY, JSON.stringify(state));
+  };
+
+  // Returns the records to export plus the state as it will be after this export.
+  const applyExportState = (records, { mode, state: pastedState }) => {
+    const state = loadExportState(pastedState);
+    const seen = new Set(state.fingerprints);
+    const fingerprints = fingerprintRecords(records);
+
+    const fresh = [];
+    const duplicates = [];
+    records.forEach((record, index) => {
+      (seen.has(fingerprints[index]) ? duplicates : fresh).push(record);
+    });
+
+    if (mode === 'new') {
+      console.log(`${fresh.length} new rows; skipped ${duplicates.length} rows exported before.`);
+      if (duplicates.length) {
+        console.table(duplicates.map(({ date, description, debit, credit }) => ({
+          date,
+          description,
+          debit: formatCents(debit),
+          credit: formatCents(credit),
+        })));
+      }
+    } else if (duplicates.length) {
+      console.log(`${duplicates.length} of ${records.length} rows were exported before.`);
+    }
+
+    const nextState = {
+      version: 1,
+      updated: new Date().toISOString(),
+      fingerprints: [...seen, ...fingerprints.filter(fingerprint => !seen.has(fingerprint))],
+    };
+    return { records: mode === 'new' ? fresh : records, nextState };
+  };
+
+  // Ordered: the first prefix that matches names the transaction type, and everything
+  // after it is the payee plus whatever reference and location RBC tacked on.
+  const DESCRIPTION_TYPES = [
+    ['Interac refund', /^(point of sale - )?interac (retail )?refund\b/i],
+    ['Interac purchase', /^(point of sale - )?(contactless )?interac (retail )?purchase\b|^point of sale\b|^achat interac\b/i],
+    ['e-Transfer', /^(interac )?e-transfer( -)?( autodeposit| sent| received| request fulfilled)?|^virement interac( -)?( dépôt automatique| envoyé| reçu)?/i],
+    ['Bill payment', /^(online banking|mobile banking|telephone banking|online) (bill )?payment\b|^bill payment\b|^paiement de facture\b/i],
+    ['Payroll deposit', /^payroll (deposit|dep\.?)|^dépôt de (paie|salaire)/i],
+    ['Pre-authorized debit', /^(.{0,40}\/ )?misc payments?\b|^pre-?authori[sz]ed (debit|payment)\b|^prélèvement automatique\b/i],
+    ['Transfer', /^(online banking|mobile banking|online) transfer\b|^transfer\b|^virement\b/i],
+    ['ATM withdrawal', /^(atm|abm) withdrawal\b|^retrait (gab|au guichet)\b/i],
+    ['Deposit', /^(mobile |atm |branch )?deposit\b|^dépôt\b/i],
+    ['Fee', /^(monthly|service|overdraft|nsf) (fee|charge)s?\b|^frais\b/i],
+  ];
+
+  const PROVINCES = 'AB|BC|MB|NB|NL|NS|NT|NU|ON|PE|QC|SK|YT';
+  // One-word city only: with more, there's no telling where the merchant name ends.
+  const LOCATION_PATTERN = new RegExp(`\\s([A-Z][A-Z.'-]+\\s(?:${PROVINCES}))$`);
+  const REFERENCE_PATTERNS = [/\b\d{6,}\b/, /\bC[AQ][A-Za-z0-9]{6,}\b/];
+
+  const toTitleCase = (text) =>
+    text.toLowerCase().replace(/(^|[\s&/("-])([a-zà-ÿ])/g, (match, before, letter) => before + letter.toUpperCase());
+
+  // "Point of Sale - Interac RETAIL PURCHASE 000001234567 TIM HORTONS #1234 TORONTO ON"
+  // becomes { type: 'Interac purchase', payee: 'Tim Hortons', reference: '000001234567',
+  // location: 'TORONTO ON' }.
+  const parseDescription = (description, transactionId = '') => {
+    let rest = description.replace(/\s+/g, ' ').trim();
+
+    const typeMatch = DESCRIPTION_TYPES.find(([, pattern]) => pattern.test(rest));
+    const type = typeMatch?.[0] || '';
+    if (typeMatch) rest = rest.replace(typeMatch[1], '');
+    rest = rest.replace(/^[\s-]+/, '');
+
+    let reference = '';
+    const referencePattern = REFERENCE_PATTERNS.find(pattern => pattern.test(rest));
+    if (referencePattern) {
+      reference = rest.match(referencePattern)[0];
+      rest = rest.replace(referencePattern, '');
+    } else if (transactionId) {
+      reference = transactionId;
+      rest = rest.replace(new RegExp(`(^|\\s-\\s)${transactionId}\\b`), ' ');
+    }
+
+    let location = '';
+    const locationMatch = rest.match(LOCATION_PATTERN);
+    if (locationMatch && locationMatch.index > 0) {
+      location = locationMatch[1];
+      rest = rest.slice(0, locationMatch.index);
+    }
+
+    let payee = rest.replace(/#\s?\d+\b/g, '').replace(/\s+-\s*$|^\s*-\s+/g, '').replace(/\s+/g, ' ').trim();
+    if (payee && payee === payee.toUpperCase()) payee = toTitleCase(payee);
+
+    return { type, payee, reference, location };
+  };
+
+  const parseDescriptions = records =>
+    records.map(record => ({ ...record, ...parseDescription(record.description, record.transactionId) }));
+
+  const RULES_KEY = 'rbc-to-csv:rules';
+  const RULE_FIELDS = ['contains', 'pattern', 'min', 'max', 'direction', 'category', 'payee'];
+
+  const compileRule = (rule, index) => {
+    const where = `Rule ${index + 1}`;
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`${where} must be an object.`);
+    }
+    const unknown = Object.keys(rule).filter(key => !RULE_FIELDS.includes(key));
+    if (unknown.length) {
+      throw new Error(`${where} has unknown fields: ${unknown.join(', ')}.`);
+    }
+    if (!rule.category && !rule.payee) {
+      throw new Error(`${where} sets neither category nor payee.`);
+    }
+    if (rule.direction && !['debit', 'credit'].includes(rule.direction)) {
+      throw new Error(`${where} direction must be "debit" or "credit".`);
+    }
+    ['min', 'max'].forEach((key) => {
+      if (rule[key] != null && typeof rule[key] !== 'number') {
+        throw new Error(`${where} ${key} must be a number of dollars.`);
+      }
+    });
+
+    let pattern = null;
+    if (rule.pattern) {
+      try {
+        pattern = new RegExp(rule.pattern, 'i');
+      } catch (error) {
+        throw new Error(`${where} pattern is not a valid regex: ${error.message}`);
+      }
+    }
+    const contains = rule.contains?.toLowerCase();
+
+    return (record) => {
+      const amount = Math.abs(signedAmount(record)) / 100;
+      const direction = record.credit ? 'credit' : 'debit';
+      return (!contains || record.description.toLowerCase().includes(contains))
+        && (!pattern || pattern.test(record.description))
+        && (rule.min == null || amount >= rule.min)
+        && (rule.max == null || amount <= rule.max)
+        && (!rule.direction || rule.direction === direction);
+    };
+  };
+
+  const loadRules = ({ rules: pastedRules, save }) => {
+    const raw = pastedRules || localStorage.getItem(RULES_KEY);
+    if (!raw) return [];
+
+    let rules;
+    try {
+      rules = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    } catch (error) {
+      throw new Error(`Could not read categorization rules: ${error.message}`);
+    }
+    if (!Array.isArray(rules)) {
+      throw new Error('Categorization rules must be a JSON array.');
+    }
+    rules.forEach(compileRule);
 
-  console.log('CSV download link ready.');
+    if (pastedRules && save) {
+      localStorage.setItem(RULES_KEY, JSON.stringify(rules));
+    }
+    return rules;
+  };
+
+  const categorizeRecords = (records, rules) => {
+    if (!rules.length) return records;
+
+    const matchers = rules.map(compileRule);
+    const categorized = records.map((record) => {
+      const rule = rules[matchers.findIndex(matches => matches(record))];
+      return { ...record, category: rule?.category || '', payee: rule?.payee || record.payee || '' };
+    });
+
+    const uncategorized = categorized.filter(record => !record.category);
+    console.log(`Categorized ${categorized.length - uncategorized.length} of ${categorized.length} rows with ${rules.length} rules.`);
+    if (uncategorized.length) {
+      console.warn(`${uncategorized.length} rows matched no category rule:`);
+      console.table(uncategorized.map(({ date, description, debit, credit }) => ({
+        date,
+        description,
+        debit: formatCents(debit),
+        credit: formatCents(credit),
+      })));
+    }
+    return categorized;
+  };
+
+  // Runs the whole pipeline over the collected rows with the current CONFIG. The panel
+  // calls it again whenever a setting changes.
+  const buildExport = (records) => {
+    const format = getFormat(CONFIG.format);
+    const problems = reconcileRecords(records, CONFIG.reconcile);
+    const filteredRecords = filterRecords(records, CONFIG.filters);
+    const { records: freshRecords, nextState } = applyExportState(filteredRecords, CONFIG.dedupe);
+    const exportRecords = categorizeRecords(
+      CONFIG.parseDescriptions ? parseDescriptions(freshRecords) : freshRecords,
+      loadRules(CONFIG.categories),
+    );
+
+    // OFX/QFX/QIF statements describe a single account, so several accounts always go in a zip.
+    const accountCount = groupByAccount(exportRecords).size;
+    if (accountCount > 1 && (CONFIG.splitByAccount || !format.multiAccount)) {
+      const files = renderAccountFiles(exportRecords, format);
+      return {
+        records: exportRecords,
+        problems,
+        nextState,
+        content: createZip(files),
+        spec: ZIP_FORMAT,
+        summary: `${files.length} ${format.label} files`,
+      };
+    }
+
+    const content = format.render(exportRecords, {
+      accountType: exportRecords[0]?.accountType,
+      accountNumber: exportRecords[0]?.accountNumber,
+    });
+    return { records: exportRecords, problems, nextState, content, spec: format, summary: format.label };
+  };
+
+  const SETTINGS_KEY = 'rbc-to-csv:settings';
+
+  const isSettingDate = value => value === '' || /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const isPatternList = value => Array.isArray(value) && value.every(pattern => typeof pattern === 'string');
+
+  // The CONFIG paths the panel saves, with what a saved value has to look like to be used.
+  const SAVED_SETTINGS = {
+    format: value => Boolean(FORMATS[value]),
+    splitByAccount: value => typeof value === 'boolean',
+    'dedupe.mode': value => value === 'all' || value === 'new',
+    'filters.from': isSettingDate,
+    'filters.to': isSettingDate,
+    'filters.direction': value => ['all', 'debit', 'credit'].includes(value),
+    'filters.minAmount': value => typeof value === 'number' && Number.isFinite(value) && value >= 0,
+    'filters.include': isPatternList,
+    'filters.exclude': isPatternList,
+  };
+
+  const readSetting = path => path.split('.').reduce((object, key) => object[key], CONFIG);
+  const writeSetting = (path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    keys.reduce((object, key) => object[key], CONFIG)[last] = value;
+  };
+  const snapshotSettings = () =>
+    Object.fromEntries(Object.keys(SAVED_SETTINGS).map(path => [path, JSON.parse(JSON.stringify(readSetting(path)))]));
+
+  // CONFIG as written in the script, before saved settings were applied
+  let configSettings = null;
+
+  // The panel's choices, kept in localStorage so the next run (console, bookmarklet or
+  // userscript) starts where the last one left off. They're saved with the CONFIG values
+  // they replaced: a setting whose CONFIG value has been edited since keeps the edit.
+  const saveSettings = () => {
+    configSettings = configSettings || snapshotSettings();
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify({ version: 2, config: configSettings, values: snapshotSettings() }));
+  };
+
+  const loadSettings = () => {
+    configSettings = snapshotSettings();
+    const raw = localStorage.getItem(SETTINGS_KEY);
+    if (!raw) return;
+
+    let saved;
+    try {
+      saved = JSON.parse(raw);
+    } catch (error) {
+      console.warn(`Ignoring unreadable saved settings: ${error.message}`);
+      return;
+    }
+    if (saved?.version !== 2) return;
+
+    const loaded = [];
+    Object.entries(SAVED_SETTINGS).forEach(([path, isValid]) => {
+      if (!(path in (saved.values || {}))) return;
+      if (JSON.stringify(saved.config?.[path]) !== JSON.stringify(configSettings[path])) return;
+      if (!isValid(saved.values[path])) {
+        console.warn(`Ignoring saved ${path}: ${JSON.stringify(saved.values[path])} isn't a valid value.`);
+        return;
+      }
+      writeSetting(path, saved.values[path]);
+      loaded.push(path);
+    });
+    if (loaded.length) console.log(`Loaded saved panel settings: ${loaded.join(', ')}.`);
+  };
+
+  // Forgets the panel's choices and goes back to CONFIG.
+  const resetSettings = () => {
+    localStorage.removeItem(SETTINGS_KEY);
+    if (!configSettings) return;
+    Object.entries(configSettings).forEach(([path, value]) => writeSetting(path, JSON.parse(JSON.stringify(value))));
+  };
+
+  const PANEL_ID = 'rbc-to-csv-panel';
+  const PREVIEW_ROWS = 25;
+
+  const PANEL_STYLE = `
+    #${PANEL_ID} { position: fixed; right: 16px; bottom: 16px; z-index: 2147483647; width: 640px;
+      max-height: 80vh; overflow: auto; background: #fff; color: #222; border: 1px solid #005daa;
+      border-radius: 6px; box-shadow: 0 4px 16px rgba(0, 0, 0, .25); font: 13px/1.4 sans-serif; padding: 12px; }
+    #${PANEL_ID} header { display: flex; justify-content: space-between; font-weight: bold; margin-bottom: 8px; }
+    #${PANEL_ID} fieldset { display: flex; flex-wrap: wrap; gap: 6px 12px; border: 0; padding: 0; margin: 0 0 8px; }
+    #${PANEL_ID} label { display: flex; gap: 4px; align-items: center; }
+    #${PANEL_ID} input[type="text"] { width: 110px; }
+    #${PANEL_ID} .counts { margin: 6px 0; }
+    #${PANEL_ID} .warnings { color: #a15c00; margin: 6px 0; padding-left: 18px; }
+    #${PANEL_ID} .error { color: #b00020; font-weight: bold; }
+    #${PANEL_ID} table { border-collapse: collapse; width: 100%; font-size: 12px; }
+    #${PANEL_ID} th, #${PANEL_ID} td { border-bottom: 1px solid #ddd; padding: 2px 4px; text-align: left;
+      white-space: nowrap; max-width: 220px; overflow: hidden; text-overflow: ellipsis; }
+    #${PANEL_ID} .actions { display: flex; gap: 12px; margin-top: 8px; }
+    #${PANEL_ID} .actions a { background: #005daa; color: #fff; padding: 4px 12px; border-radius: 4px; text-decoration: none; }
+    #${PANEL_ID} .actions a[hidden] { display: none; }
+  `;
+
+  const createElement = (tag, attributes = {}, children = []) => {
+    const element = document.createElement(tag);
+    Object.entries(attributes).forEach(([name, value]) => {
+      if (name === 'text') element.textContent = value;
+      else if (name === 'checked') element.checked = value;
+      else if (value != null) element.setAttribute(name, value);
+    });
+    element.append(...children);
+    return element;
+  };
+
+  // Each control reads its value from CONFIG and writes it back on change.
+  const PANEL_CONTROLS = [
+    ['Format', 'select', Object.keys(FORMATS), () => CONFIG.format, (value) => { CONFIG.format = value; }],
+    ['Zip per account', 'checkbox', null, () => CONFIG.splitByAccount, (value) => { CONFIG.splitByAccount = value; }],
+    ['Rows', 'select', ['all', 'new'], () => CONFIG.dedupe.mode, (value) => { CONFIG.dedupe.mode = value; }],
+    ['From', 'date', null, () => CONFIG.filters.from, (value) => { CONFIG.filters.from = value; }],
+    ['To', 'date', null, () => CONFIG.filters.to, (value) => { CONFIG.filters.to = value; }],
+    ['Direction', 'select', ['all', 'debit', 'credit'], () => CONFIG.filters.direction, (value) => { CONFIG.filters.direction = value; }],
+    ['Min $', 'number', null, () => CONFIG.filters.minAmount, (value) => { CONFIG.filters.minAmount = Number(value) || 0; }],
+    ['Include', 'text', null, () => CONFIG.filters.include.join('|'), (value) => { CONFIG.filters.include = value ? [value] : []; }],
+    ['Exclude', 'text', null, () => CONFIG.filters.exclude.join('|'), (value) => { CONFIG.filters.exclude = value ? [value] : []; }],
+  ];
+
+  const createControl = ([label, type, options, read, write], onChange) => {
+    let input;
+    if (type === 'select') {
+      input = createElement('select', {}, options.map(option => createElement('option', { value: option, text: option })));
+      input.value = read();
+    } else if (type === 'checkbox') {
+      input = createElement('input', { type, checked: read() });
+    } else {
+      input = createElement('input', { type, value: read() });
+    }
+    input.addEventListener('change', () => {
+      write(type === 'checkbox' ? input.checked : input.value);
+      saveSettings();
+      onChange();
+    });
+    return createElement('label', {}, [label, input]);
+  };
+
+  const renderPreview = (records) => {
+    const columns = csvColumnsFor(records);
+    return createElement('table', {}, [
+      createElement('thead', {}, [createElement('tr', {}, columns.map(([name]) => createElement('th', { text: name })))]),
+      createElement('tbody', {}, records.slice(0, PREVIEW_ROWS).map(record =>
+        createElement('tr', {}, columns.map(([, read]) => createElement('td', { text: read(record) ?? '' }))))),
+    ]);
+  };
+
+  // Floating panel with settings, counts, warnings, a preview and our own download link,
+  // so nothing depends on RBC's download button being there.
+  const showPanel = (records, skipped) => {
+    document.getElementById(PANEL_ID)?.remove();
+
+    const counts = createElement('div', { class: 'counts' });
+    const warnings = createElement('ul', { class: 'warnings' });
+    const preview = createElement('div');
+    const downloadLink = createElement('a', { href: '#' });
+    const stateLink = createElement('a', { href: '#', hidden: CONFIG.dedupe.stateFile ? null : '' });
+    let current = null;
+
+    const refresh = () => {
+      warnings.replaceChildren(...skipped.map(({ account, row, reason }) =>
+        createElement('li', { text: `Skipped ${account} ${row === 'all' ? 'table' : `row ${row}`}: ${reason}` })));
+      try {
+        current = buildExport(records);
+      } catch (error) {
+        current = null;
+        counts.replaceChildren(createElement('span', { class: 'error', text: error.message }));
+        preview.replaceChildren();
+        downloadLink.hidden = true;
+        return;
+      }
+
+      current.problems.forEach(({ account, date, description, difference, note }) => {
+        const detail = note || `total off by ${difference}`;
+        warnings.append(createElement('li', { text: `${account} ${date} "${description}": ${detail}` }));
+      });
+      counts.textContent = `${records.length} rows found · ${current.records.length} in export`
+        + ` · ${skipped.length} skipped · ${current.problems.length} reconciliation problems`;
+      preview.replaceChildren(renderPreview(current.records));
+      if (current.records.length > PREVIEW_ROWS) {
+        preview.append(createElement('div', { text: `…and ${current.records.length - PREVIEW_ROWS} more rows.` }));
+      }
+
+      createDownloadLink(downloadLink, current.content, current.spec);
+      downloadLink.textContent = `Download ${current.summary} (${current.records.length} rows)`;
+      downloadLink.hidden = false;
+      if (CONFIG.dedupe.stateFile) {
+        createDownloadLink(stateLink, JSON.stringify(current.nextState), STATE_FORMAT);
+      }
+    };
+
+    downloadLink.addEventListener('click', () => {
+      if (!current || !CONFIG.dedupe.remember) return;
+      saveExportState(current.nextState);
+      console.log(`Remembered ${current.nextState.fingerprints.length} exported rows.`);
+    });
+
+    const closeButton = createElement('button', { type: 'button', 'aria-label': 'Close', text: '×' });
+    closeButton.addEventListener('click', () => panel.remove());
+    const resetButton = createElement('button', { type: 'button', text: 'Reset to CONFIG' });
+    resetButton.addEventListener('click', () => {
+      resetSettings();
+      showPanel(records, skipped);
+    });
+
+    const panel = createElement('div', { id: PANEL_ID }, [
+      createElement('style', { text: PANEL_STYLE }),
+      createElement('header', {}, [createElement('span', { text: 'RBC transactions export' }), closeButton]),
+      createElement('fieldset', {}, PANEL_CONTROLS.map(control => createControl(control, refresh))),
+      counts,
+      warnings,
+      preview,
+      createElement('div', { class: 'actions' }, [downloadLink, stateLink, resetButton]),
+    ]);
+    document.body.append(panel);
+    refresh();
+    return panel;
+  };
+
+  const run = async () => {
+    const skipped = [];
+    const records = CONFIG.loadMore.enabled
+      ? await harvestTransactions({ ...CONFIG.loadMore, untilDate: CONFIG.loadMore.untilDate || CONFIG.filters.from }, skipped)
+      : findTransactionTables().flatMap(table => extractTable(table, skipped));
+
+    if (skipped.length) {
+      console.warn(`${skipped.length} rows were skipped and are NOT in the export:`);
+      console.table(skipped);
+    }
+
+    showPanel(records, skipped);
+    console.log('Export panel ready.');
+  };
+
+  // RBC online banking is a single-page app, so as a userscript keep watching for
+  // transaction tables and open the panel once per page that shows them.
+  const watchForTransactionPages = async () => {
+    let handledUrl = null;
+    for (;;) {
+      await sleep(1000);
+      if (window.location.href === handledUrl || !document.querySelector(TABLE_SELECTOR)) continue;
+
+      handledUrl = window.location.href;
+      try {
+        await run();
+      } catch (error) {
+        console.error('rbc-to-csv:', error);
+      }
+    }
+  };
+
+  // === Execute ===
+  // The parsing functions, for the tests, cli.js and card-text-parser.js.
+  const exported = {
+    CONFIG,
+    parseMoney,
+    parseCents,
+    formatCents,
+    parseDisplayDate,
+    parseForeignAmount,
+    extractDateFromCell,
+    findTransactionTables,
+    isCreditCardTable,
+    mapColumns,
+    extractTransactions,
+    extractTable,
+    parseDescription,
+    parseDescriptions,
+    loadRules,
+    categorizeRecords,
+    reconcileRecords,
+    filterRecords,
+    fingerprintRecords,
+    groupByAccount,
+    getFormat,
+    renderAccountFiles,
+    createZip,
+    toCsvLine,
+    renderCsv,
+    loadSettings,
+    saveSettings,
+    resetSettings,
+  };
+  // Required from Node, hand them over instead of running.
+  if (typeof module === 'object' && module.exports) {
+    module.exports = exported;
+    return;
+  }
+
+  window.RbcToCsv = exported;
+  loadSettings();
+  if (typeof GM_info !== 'undefined') {
+    await watchForTransactionPages();
+  } else {
+    await run();
+  }
 })();
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+// Builds the bookmarklet and the userscript from browser-snippet.js, so all three
+// ways of running the exporter share the same code.
+//
+//   node build.js        # writes dist/bookmarklet.txt and dist/rbc-to-csv.user.js
+
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE = path.join(__dirname, 'browser-snippet.js');
+const OUT_DIR = path.join(__dirname, 'dist');
+const VERSION = '1.0.0';
+
+const USERSCRIPT_HEADER = `// ==UserScript==
+// @name         RBC transactions export
+// @namespace    https://github.com/simonborer/rbc-to-csv
+// @version      ${VERSION}
+// @description  Export RBC online banking transactions to CSV, OFX, QFX or QIF
+// @match        https://www1.royalbank.com/*
+// @match        https://secure.royalbank.com/*
+// @grant        none
+// @run-at       document-idle
+// ==/UserScript==
+`;
+
+// Comment-only lines and indentation are dead weight in a bookmark. Trailing comments
+// stay: encodeURIComponent keeps the newlines, so they can't swallow the next line.
+const compact = source =>
+  source
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('//'))
+    .join('\n');
+
+const source = fs.readFileSync(SOURCE, 'utf8');
+fs.mkdirSync(OUT_DIR, { recursive: true });
+
+const bookmarklet = `javascript:${encodeURIComponent(`${compact(source)}\nvoid 0;`)}`;
+fs.writeFileSync(path.join(OUT_DIR, 'bookmarklet.txt'), `${bookmarklet}\n`);
+fs.writeFileSync(path.join(OUT_DIR, 'rbc-to-csv.user.js'), `${USERSCRIPT_HEADER}\n${source}`);
+
+console.log(`Wrote dist/bookmarklet.txt (${bookmarklet.length} characters) and dist/rbc-to-csv.user.js.`);
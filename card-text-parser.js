@@ -0,0 +1,138 @@
+// Parses credit-card activity copied out of RBC online banking as plain text, for when the
+// page itself can't be exported. Works one field per line (the way the page copies) or
+// tab-separated rows, with or without the header and "Pending"/"Posted" headings:
+//
+//   Jun 3, 2025          <- transaction date
+//   Jun 4, 2025          <- posting date (pending rows don't have one)
+//   AMAZON.COM*AB12C     <- description, possibly over several lines
+//   SEATTLE WA
+//   USD 12.34 @ 1.3700   <- foreign-currency line, optional
+//   $16.91               <- amount; "-$20.00", "($20.00)" or "$20.00 CR" is a refund or payment
+//
+// Dates, amounts and CSV columns come from browser-snippet.js, so records come out in
+// the same shape (and CSV) as its export. In Node: require('./card-text-parser.js'). In
+// the browser, run browser-snippet.js first, then paste this file into the console and
+// use window.RbcCardText.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./browser-snippet.js'));
+  } else if (root.RbcToCsv) {
+    root.RbcCardText = factory(root.RbcToCsv);
+  } else {
+    throw new Error('Run browser-snippet.js on this page before card-text-parser.js.');
+  }
+})(typeof self !== 'undefined' ? self : this, (snippet) => {
+  const HEADER_PATTERN = /^(transaction date|posting date|posted date|date|description|activity description|amount|montant|date de (la )?transaction|date d'inscription)( \(\$\))?$/i;
+  const PENDING_PATTERN = /^(pending|authori[sz]ations?|(transactions?|opérations?) en attente|en attente)\b/i;
+  const POSTED_PATTERN = /^(posted|(transactions?|opérations?) (posted|comptabilisées?))\b/i;
+
+  const DATE_LINE_PATTERN = /^(\d{4}-\d{2}-\d{2}|[A-Za-zÀ-ÿ]+\.? \d{1,2},? \d{4}|\d{1,2}(er)? [A-Za-zÀ-ÿ]+\.?,? \d{4})$/;
+
+  // A line that is only a date: "Jun 3, 2025", "3 juin 2025", "2025-06-03". '' otherwise.
+  const parseDateLine = text => (DATE_LINE_PATTERN.test(text) ? snippet.parseDisplayDate(text) : '');
+
+  // A line that is only an amount: "$1,234.56", "-$20.00", "($20.00)", "$20.00 CR",
+  // "1 234,56 $", "US$5.00". Returns the snippet's { cents, currency }, or null so
+  // merchant names with digits ("7-ELEVEN 1234") stay part of the description.
+  const parseAmountLine = (text) => {
+    if (!/^[-−–(]?\s*(US|CA?)?\s?\$|\$\s*(US|CA)?\s*\)?\s*(CR|DR)?$/i.test(text)) return null;
+    try {
+      return snippet.parseMoney(text);
+    } catch {
+      return null;
+    }
+  };
+
+  // A line that is only "USD 12.34 @ 1.37", "12.34 USD @ 1.370000" or "USD $12.34 Exchange rate 1.3700".
+  const parseFxLine = (text) => {
+    const fx = snippet.parseForeignAmount(text);
+    if (!fx || fx.text !== text || fx.originalAmount == null || !fx.fxRate) return null;
+    const { originalAmount, originalCurrency, fxRate } = fx;
+    return { originalAmount, originalCurrency, fxRate };
+  };
+
+  // Returns { records, skipped }. options.cardDate picks which date goes in `date`:
+  // 'transaction' (default) or 'posted'; rows without a posting date use their transaction date.
+  const parseCardText = (text, { cardDate = 'transaction' } = {}) => {
+    const fields = String(text).split(/\r?\n/).flatMap((line, index) =>
+      line.split('\t').map(field => ({ text: field.replace(/\s+/g, ' ').trim(), line: index + 1 })))
+      .filter(field => field.text);
+
+    const parsed = [];
+    const skipped = [];
+    let section = '';
+    let current = null;
+
+    const abandon = (reason) => {
+      if (!current) return;
+      skipped.push({ row: current.line, reason });
+      current = null;
+    };
+
+    fields.forEach(({ text: field, line }) => {
+      // Headers and headings only count between transactions; inside one they're description.
+      if (!current && HEADER_PATTERN.test(field)) return;
+
+      if (!current && (PENDING_PATTERN.test(field) || POSTED_PATTERN.test(field))) {
+        section = PENDING_PATTERN.test(field) ? 'pending' : 'posted';
+        return;
+      }
+
+      const date = parseDateLine(field);
+      if (date) {
+        if (current && !current.description.length && !current.postedDate) {
+          current.postedDate = date;
+          return;
+        }
+        abandon(`no amount before the next date (line ${line}).`);
+        current = { line, transactionDate: date, postedDate: '', description: [], section };
+        return;
+      }
+
+      if (!current) {
+        skipped.push({ row: line, reason: `"${field}" is not part of a transaction.` });
+        return;
+      }
+
+      const fx = parseFxLine(field);
+      if (fx) {
+        current.fx = fx;
+        return;
+      }
+
+      const amount = current.description.length ? parseAmountLine(field) : null;
+      if (!amount) {
+        current.description.push(field);
+        return;
+      }
+      parsed.push({ ...current, cents: amount.cents, currency: amount.currency === 'USD' ? 'USD' : 'CAD' });
+      current = null;
+    });
+    abandon('no amount before the end of the text.');
+
+    // Without headings, a row missing its posting date is pending, but only if other rows have one.
+    const hasPostedDates = parsed.some(row => row.postedDate);
+    const records = parsed.map(row => ({
+      date: cardDate === 'posted' ? row.postedDate || row.transactionDate : row.transactionDate,
+      description: row.description.join(' '),
+      transactionId: '',
+      debit: row.cents >= 0 ? row.cents : null,
+      credit: row.cents < 0 ? -row.cents : null,
+      total: null,
+      section: row.section || (hasPostedDates ? (row.postedDate ? 'posted' : 'pending') : ''),
+      accountType: 'card',
+      currency: row.currency,
+      ...row.fx,
+    }));
+
+    skipped.forEach(({ row, reason }) => console.warn(`Skipping line ${row}: ${reason}`));
+    return { records, skipped };
+  };
+
+  // What cli.js and format_cc.sh write for the same text.
+  const renderCsv = records =>
+    snippet.renderCsv(snippet.CONFIG.parseDescriptions ? snippet.parseDescriptions(records) : records);
+
+  return { parseCardText, renderCsv };
+});
@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+// Converts saved RBC transaction pages ("Save Page As") into one export, using the same
+// extraction code as browser-snippet.js. Credit-card activity copied as text and saved
+// to a .txt file (or any file, with --text) goes through card-text-parser.js instead.
+// Rows that appear in more than one file (the same page saved twice, overlapping date
+// ranges) are only exported once.
+//
+//   node cli.js june.html july.html > transactions.csv
+//   node cli.js --format json --out transactions.json saved/*.html
+//   node cli.js --format ofx --out statements.zip chequing.html visa.html
+//   node cli.js visa-june.txt
+//   node cli.js transfers chequing.csv visa.csv > combined.csv
+//   node cli.js report --budget budget.json --format html --out report.html *.csv
+//
+// The report (tables found, skipped rows, reconciliation) goes to stderr so stdout can be piped.
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { parseArgs } = require('util');
+const { Console } = require('console');
+const { JSDOM } = require('jsdom');
+
+const USAGE = `Usage: rbc-to-csv [options] page.html|activity.txt [...]
+       rbc-to-csv transfers [--window <days>] [--exclude] export.csv [...]
+       rbc-to-csv report [--budget <file>] [--format csv|html] export.csv [...]
+
+Options:
+  -f, --format <format>    csv, ofx, qfx, qif or json (default: csv)
+  -o, --out <file>         write to a file instead of stdout (required for zips)
+      --split              one file per account, zipped, even for CSV/JSON
+      --card-date <which>  'transaction' or 'posted' date in the Date column
+      --from <YYYY-MM-DD>  only rows on or after this date
+      --to <YYYY-MM-DD>    only rows on or before this date
+      --direction <dir>    'all', 'debit' or 'credit'
+      --rules <file>       JSON categorization rules (see README)
+      --reconcile <mode>   'warn', 'abort' or 'off' (default: warn)
+      --text               read every file as pasted card activity, whatever its extension
+
+transfers reads CSV exports (one per account, or with an Account column) and marks
+transfers and card payments between them with a shared id in a Transfer column:
+      --window <days>      how far apart the two sides may be (default: 3)
+      --exclude            leave matched rows out instead of marking them
+
+report totals CSV exports by month, category and payee (income vs. expenses), matching
+transfers first and leaving them out:
+      --budget <file>      JSON of category: monthly dollars, for budget vs. actual
+      --rules <file>       categorize rows that don't have a Category yet
+      --include-transfers  count transfers and card payments too
+  -h, --help               show this help
+`;
+
+const OPTIONS = {
+  format: { type: 'string', short: 'f', default: 'csv' },
+  out: { type: 'string', short: 'o' },
+  split: { type: 'boolean', default: false },
+  'card-date': { type: 'string' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  direction: { type: 'string' },
+  rules: { type: 'string' },
+  reconcile: { type: 'string' },
+  text: { type: 'boolean', default: false },
+  window: { type: 'string', default: '3' },
+  exclude: { type: 'boolean', default: false },
+  budget: { type: 'string' },
+  'include-transfers': { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+// The snippet reports through console.log/table; keep all of that off stdout.
+const stderrConsole = new Console(process.stderr);
+['log', 'info', 'table'].forEach((method) => { console[method] = stderrConsole[method].bind(stderrConsole); });
+
+const snippet = require('./browser-snippet.js');
+const { parseCardText } = require('./card-text-parser.js');
+const { readExportFile } = require('./read-export.js');
+const { matchTransfers, excludeTransfers } = require('./transfers.js');
+const { parseBudget, buildReport, renderReportCsv, renderReportHtml } = require('./report.js');
+
+// Pasted text has no account name, so the file name stands in for it.
+const readCardText = (file, skipped) => {
+  const account = path.basename(file, path.extname(file));
+  const { records, skipped: fileSkipped } = parseCardText(fs.readFileSync(file, 'utf8'), {
+    cardDate: snippet.CONFIG.cardDate,
+  });
+  skipped.push(...fileSkipped.map(entry => ({ account, ...entry })));
+  return records.map(record => ({ ...record, account, accountNumber: '' }));
+};
+
+// A file that can't be read or has no transaction tables is reported with the skipped
+// rows, and the other files are still converted.
+const readPage = (file, skipped, asText) => {
+  try {
+    if (asText || path.extname(file).toLowerCase() === '.txt') return readCardText(file, skipped);
+
+    const html = fs.readFileSync(file, 'utf8');
+    const { document } = new JSDOM(html, { url: pathToFileURL(path.resolve(file)).href }).window;
+    return snippet.findTransactionTables(document).flatMap(table => snippet.extractTable(table, skipped));
+  } catch (error) {
+    skipped.push({ file, row: 'all', reason: error.message });
+    return [];
+  }
+};
+
+// Keeps the first copy of each row. Identical rows within one page are separate
+// transactions (two coffees on the same day), so only the nth copy in one file matches
+// the nth copy in another.
+const mergeRecords = (recordsByFile) => {
+  const seen = new Set();
+  const merged = [];
+  let duplicates = 0;
+  recordsByFile.forEach((records) => {
+    const fingerprints = snippet.fingerprintRecords(records);
+    records.forEach((record, index) => {
+      const key = `${record.account}|${fingerprints[index]}`;
+      if (seen.has(key)) {
+        duplicates++;
+        return;
+      }
+      seen.add(key);
+      merged.push(record);
+    });
+  });
+  if (duplicates) {
+    console.log(`Dropped ${duplicates} rows that were already in an earlier file.`);
+  }
+  return merged;
+};
+
+const writeOutput = (values, content, summary) => {
+  if (values.out) {
+    fs.writeFileSync(values.out, content);
+    console.log(summary);
+  } else {
+    process.stdout.write(content);
+  }
+};
+
+const convert = (values, files) => {
+  const { CONFIG } = snippet;
+  if (values['card-date']) CONFIG.cardDate = values['card-date'];
+  if (values.reconcile) CONFIG.reconcile = values.reconcile;
+  const filters = {
+    ...CONFIG.filters,
+    ...(values.from && { from: values.from }),
+    ...(values.to && { to: values.to }),
+    ...(values.direction && { direction: values.direction }),
+  };
+  const format = snippet.getFormat(values.format);
+
+  const skipped = [];
+  const records = mergeRecords(files.map(file => readPage(file, skipped, values.text)));
+  if (skipped.length) {
+    console.warn(`${skipped.length} rows were skipped and are NOT in the export:`);
+    console.table(skipped);
+  }
+
+  snippet.reconcileRecords(records, CONFIG.reconcile);
+  const filtered = snippet.filterRecords(records, filters);
+  const rules = values.rules
+    ? snippet.loadRules({ rules: fs.readFileSync(values.rules, 'utf8'), save: false })
+    : [];
+  const exportRecords = snippet.categorizeRecords(
+    CONFIG.parseDescriptions ? snippet.parseDescriptions(filtered) : filtered,
+    rules,
+  );
+
+  let content;
+  if (snippet.groupByAccount(exportRecords).size > 1 && (values.split || !format.multiAccount)) {
+    if (!values.out) {
+      throw new Error(`Several accounts in ${format.label} are written as a zip; pass --out <file>.zip.`);
+    }
+    content = snippet.createZip(snippet.renderAccountFiles(exportRecords, format));
+  } else {
+    content = `${format.render(exportRecords, {
+      accountType: exportRecords[0]?.accountType,
+      accountNumber: exportRecords[0]?.accountNumber,
+    })}\n`;
+  }
+
+  writeOutput(values, content, `Wrote ${exportRecords.length} rows from ${files.length} files to ${values.out}.`);
+};
+
+const parseWindow = (values) => {
+  const windowDays = Number(values.window);
+  if (!Number.isFinite(windowDays) || windowDays < 0) {
+    throw new Error(`--window must be a number of days, got "${values.window}".`);
+  }
+  return windowDays;
+};
+
+const transfers = (values, files) => {
+  const windowDays = parseWindow(values);
+  const format = snippet.getFormat(values.format);
+  if (!format.multiAccount) {
+    throw new Error(`transfers writes every account into one file; use --format csv or json.`);
+  }
+
+  const matched = matchTransfers(files.flatMap(readExportFile), { windowDays });
+  const records = values.exclude ? excludeTransfers(matched) : matched;
+  writeOutput(values, `${format.render(records, {})}\n`, `Wrote ${records.length} rows to ${values.out}.`);
+};
+
+const REPORT_FORMATS = { csv: renderReportCsv, html: renderReportHtml };
+
+const report = (values, files) => {
+  const render = REPORT_FORMATS[values.format];
+  if (!render) {
+    throw new Error(`report writes csv or html, not "${values.format}".`);
+  }
+  const windowDays = parseWindow(values);
+  const budget = values.budget ? parseBudget(fs.readFileSync(values.budget, 'utf8')) : {};
+
+  let records = matchTransfers(files.flatMap(readExportFile), { windowDays });
+  if (values.rules) {
+    const rules = snippet.loadRules({ rules: fs.readFileSync(values.rules, 'utf8'), save: false });
+    const uncategorized = records.filter(record => !record.category && (values['include-transfers'] || !record.transferId));
+    const categorized = new Map(snippet.categorizeRecords(uncategorized, rules).map((record, index) => [uncategorized[index], record]));
+    records = records.map(record => categorized.get(record) || record);
+  }
+
+  const summary = buildReport(records, { budget, includeTransfers: values['include-transfers'] });
+  writeOutput(values, `${render(summary)}\n`, `Wrote the ${values.format.toUpperCase()} report for ${summary.months.length} months to ${values.out}.`);
+};
+
+const COMMANDS = { transfers, report };
+
+const main = () => {
+  const { values, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+  const command = COMMANDS[positionals[0]];
+  const files = command ? positionals.slice(1) : positionals;
+  if (values.help || !files.length) {
+    process.stdout.write(USAGE);
+    process.exitCode = values.help ? 0 : 1;
+    return;
+  }
+  (command || convert)(values, files);
+};
+
+try {
+  main();
+} catch (error) {
+  console.error(`rbc-to-csv: ${error.message}`);
+  process.exitCode = 1;
+}
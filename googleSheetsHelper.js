@@ -525,7 +525,27 @@ function getIndicatorData(ss) {
 
 function getConfigData(ss) {
   // Default configuration - can be overridden by 'Config' sheet
-  var defaultConfig = {
+  var defaultConfig = getDefaultConfig();
+  
+  // Override defaults with 'Config' sheet rows (A = dotted key, B = value)
+  var problems = [];
+  try {
+    var configSheet = ss.getSheetByName("Config");
+    if (configSheet && configSheet.getLastRow() > 0) {
+      var rows = configSheet.getRange(1, 1, configSheet.getLastRow(), 2).getValues();
+      problems = applyConfigRows(defaultConfig, rows);
+    }
+  } catch (e) {
+    problems.push("Could not read the Config sheet: " + e.message);
+  }
+  problems.forEach(function(p) { Logger.log("Config sheet: " + p); });
+  defaultConfig.problems = problems;
+  
+  return defaultConfig;
+}
+
+function getDefaultConfig() {
+  return {
     thresholds: {
       unemployment: {
         veryLow: 3.5,    // Below this = strong growth signal
@@ -556,21 +576,152 @@ function getConfigData(ss) {
       creditSpread: 1.1
     },
     trendPeriods: 3,      // Number of periods to look back for trend
-    showDetails: false    // Whether to show detailed breakdown
+    showDetails: false,   // Whether to show detailed breakdown
+    rebalancing: {
+      minThreshold: 0.005,    // Minimum 0.5% change to trigger signal
+      maxSingleMove: 0.15,    // Maximum single asset move, 15% of its own weight
+      volatilityAdjustment: true, // Reduce moves during high volatility
+      balanceConstraint: true     // Ensure defensive/equity moves offset
+    }
   };
+}
+
+// Allowed range for each group of numeric settings (longest matching prefix wins)
+var CONFIG_LIMITS = {
+  "thresholds.unemployment": [0, 30],
+  "thresholds.cpi": [-5, 20],
+  "thresholds.cpi.tolerance": [0, 10],
+  "thresholds.vix": [0, 100],
+  "weights": [0, 10],
+  "trendPeriods": [1, 24],
+  "rebalancing": [0, 1],
+  // Stops at 10% so a bare 0.5 meant as 0.5% is rejected
+  "rebalancing.minThreshold": [0, 0.1]
+};
+
+// Settings that are fractions, the only ones that may be written as "0.5%"
+var CONFIG_FRACTIONS = ["rebalancing.minThreshold", "rebalancing.maxSingleMove"];
+
+// Thresholds that only make sense in increasing order
+var CONFIG_ORDER = {
+  "thresholds.unemployment": ["veryLow", "low", "high", "veryHigh"],
+  "thresholds.cpi": ["veryLow", "target", "high"],
+  "thresholds.vix": ["low", "normal", "elevated", "high"]
+};
+
+/**
+ * Applies Config sheet rows like ["weights.vix", 1.5] or ["thresholds.cpi.high = 4", ""]
+ * to config in place. Only keys that already exist in config are accepted, and a value
+ * must have the same type as its default and be within CONFIG_LIMITS; anything else keeps
+ * the default. Returns a list of problems (unknown keys, invalid values).
+ */
+function applyConfigRows(config, rows) {
+  var problems = [];
+  var defaults = getDefaultConfig();
+  var seen = {};
+  
+  rows.forEach(function(row) {
+    var name = String(row[0] == null ? "" : row[0]).trim();
+    var raw = row[1];
+    if ((raw === "" || raw == null) && name.indexOf("=") > 0) {
+      raw = name.substring(name.indexOf("=") + 1).trim();
+      name = name.substring(0, name.indexOf("=")).trim();
+    }
+    if (!name || name.charAt(0) === "#" || /^(key|setting)s?$/i.test(name)) return;
+    
+    // Walk the dotted key down to its parent object
+    var parts = name.split(".");
+    var parent = config;
+    for (var i = 0; i < parts.length - 1 && parent; i++) {
+      parent = (typeof parent[parts[i]] === "object") ? parent[parts[i]] : null;
+    }
+    var leaf = parts[parts.length - 1];
+    if (!parent || !(leaf in parent) || typeof parent[leaf] === "object") {
+      problems.push(name + ": unknown key");
+      return;
+    }
+    if (raw === "" || raw == null) return;
+    if (seen[name]) problems.push(name + ": set more than once, using the last value");
+    seen[name] = true;
+    
+    var isFraction = CONFIG_FRACTIONS.indexOf(name) >= 0;
+    var value = parseConfigValue(raw, typeof parent[leaf], isFraction);
+    var error = null;
+    if (value === null && !isFraction && /%$/.test(String(raw).trim())) {
+      error = "only fractions can be percentages, got \"" + raw + "\"";
+    } else if (value === null) {
+      error = "expected " + (typeof parent[leaf] === "boolean" ? "TRUE or FALSE" : "a number") + ", got \"" + raw + "\"";
+    } else if (typeof value === "number") {
+      var limits = configLimits(name);
+      if (limits && (value < limits[0] || value > limits[1])) {
+        error = "must be between " + limits[0] + " and " + limits[1] + ", got " + value;
+      } else if (name === "trendPeriods" && value !== Math.round(value)) {
+        error = "expected a whole number, got " + value;
+      }
+    }
+    if (error) {
+      problems.push(name + ": " + error + "; using " + parent[leaf]);
+    } else {
+      parent[leaf] = value;
+    }
+  });
   
-  // Try to read config from sheet, fall back to defaults
-  try {
-    var configSheet = ss.getSheetByName("Config");
-    if (configSheet) {
-      // Read custom configuration from sheet
-      // Implementation would read key-value pairs and override defaults
+  // Contradictory thresholds fall back to their defaults as a set; the group's other
+  // settings (cpi.tolerance) keep their overrides
+  Object.keys(CONFIG_ORDER).forEach(function(group) {
+    var path = group.split(".");
+    var current = config[path[0]][path[1]];
+    var names = CONFIG_ORDER[group];
+    var values = names.map(function(n) { return current[n]; });
+    for (var i = 1; i < values.length; i++) {
+      if (values[i] <= values[i - 1]) {
+        problems.push(group + ": " + names.join(" < ") + " doesn't hold (" + values.join(", ") + "); using the defaults");
+        names.forEach(function(n) { current[n] = defaults[path[0]][path[1]][n]; });
+        return;
+      }
     }
-  } catch (e) {
-    // Config sheet doesn't exist, use defaults
-  }
+  });
   
-  return defaultConfig;
+  return problems;
+}
+
+// Sheet cell to a number or boolean; null if it can't be read as that type. Only
+// fractions may end in "%".
+function parseConfigValue(raw, type, isFraction) {
+  if (type === "boolean") {
+    if (typeof raw === "boolean") return raw;
+    var text = String(raw).trim().toLowerCase();
+    if (["true", "yes", "on", "1"].indexOf(text) >= 0) return true;
+    if (["false", "no", "off", "0"].indexOf(text) >= 0) return false;
+    return null;
+  }
+  if (typeof raw === "number") return raw;
+  var s = String(raw).trim().replace(/,/g, "");
+  if (/%$/.test(s) && !isFraction) return null;
+  var n = /%$/.test(s) ? Number(s.slice(0, -1)) / 100 : Number(s);
+  return (s === "" || isNaN(n)) ? null : n;
+}
+
+function configLimits(name) {
+  var best = null;
+  Object.keys(CONFIG_LIMITS).forEach(function(prefix) {
+    if ((name === prefix || name.indexOf(prefix + ".") === 0) && (!best || prefix.length > best.length)) {
+      best = prefix;
+    }
+  });
+  return best ? CONFIG_LIMITS[best] : null;
+}
+
+/**
+ * Status of the 'Config' sheet for a cell next to it, e.g. =CHECK_CONFIG(A1:B)
+ * (passing the table makes the cell recalculate when it changes)
+ */
+function CHECK_CONFIG(rows) {
+  var problems = Array.isArray(rows)
+    ? applyConfigRows(getDefaultConfig(), rows)
+    : getConfigData(SpreadsheetApp.getActiveSpreadsheet()).problems;
+  if (!problems.length) return "OK: Config sheet applied";
+  return problems.length + " problem" + (problems.length === 1 ? "" : "s") + " in the Config sheet:\n" + problems.join("\n");
 }
 
 // function getHistoricalData(ss) {
@@ -840,15 +991,17 @@ function GET_REBALANCE_SIGNAL(assetTicker) {
   // 2) Get enhanced market signal data
   var marketData = getEnhancedMarketData(ss);
   
-  // 3) Load Asset Metadata (A=Asset key, B=Class, C=Region, D=Sensitivity)
+  // 3) Load Asset Metadata (A=Asset key, B=Class, C=Region, D=Sensitivity, E=Floor, F=Ceiling)
   var metaSh = ss.getSheetByName("Asset Metadata");
-  var meta   = metaSh.getRange("A2:D" + metaSh.getLastRow()).getValues();
-  var classMap = {}, regionMap = {}, sensitivityMap = {};
+  var meta   = metaSh.getRange("A2:F" + metaSh.getLastRow()).getValues();
+  var classMap = {}, regionMap = {}, sensitivityMap = {}, floorMap = {}, ceilingMap = {};
   meta.forEach(function(r){
     var asset = r[0];
     classMap[asset] = r[1];      // "Equity" or "Defensive"
     regionMap[asset] = r[2];     // "U.S.", "Canada", etc.
     sensitivityMap[asset] = parseFloat(r[3]) || 1.0; // Sensitivity multiplier (default 1.0)
+    if (r[4] !== "") floorMap[asset] = parseAllocation(r[4]);     // Lowest target weight (optional)
+    if (r[5] !== "") ceilingMap[asset] = parseAllocation(r[5]);   // Highest target weight (optional)
   });
   
   // Fail fast on typos
@@ -1006,10 +1159,29 @@ function GET_REBALANCE_SIGNAL(assetTicker) {
     sumRaw += rawAlloc[t];
   });
   
-  // 9) Calculate final signal for the requested ticker
+  // 9) Fit the normalized allocations inside the floor/ceiling bands and the max move
+  var normalizedAlloc = {};
+  tickers.forEach(function(t) {
+    normalizedAlloc[t] = rawAlloc[t] / sumRaw;
+  });
+  var bands = { floors: floorMap, ceilings: ceilingMap };
+  var maxMove = marketData.config.rebalancing.maxSingleMove;
+  var bounds = allocationBounds(tickers, allocMap, bands, maxMove);
+  if (!bounds) {
+    // Allocations that don't add up to 100% can make the max move impossible to meet
+    Logger.log("maxSingleMove can't be met from the current allocations; applying floors and ceilings only");
+    bounds = allocationBounds(tickers, allocMap, bands, Infinity);
+  }
+  if (!bounds) {
+    throw new Error("Asset Metadata floors add up to more than 100% (or ceilings to less)");
+  }
+  var fitted = applyAllocationBounds(normalizedAlloc, bounds);
+  
+  // Calculate final signal for the requested ticker
   var oldA = allocMap[assetTicker];
-  var normalized = rawAlloc[assetTicker] / sumRaw;
+  var normalized = fitted.weights[assetTicker];
   var finalD = (normalized / oldA) - 1;
+  var binding = fitted.binding[assetTicker] ? " (" + fitted.binding[assetTicker] + ")" : "";
   
   // 10) Enhanced signal formatting with confidence indication
   var regionalScore = getRegionalScore(assetTicker);
@@ -1025,15 +1197,101 @@ function GET_REBALANCE_SIGNAL(assetTicker) {
   }
   
   // Add minimum threshold to avoid tiny changes
-  var minThreshold = 0.005; // 0.5% minimum change
+  var minThreshold = marketData.config.rebalancing.minThreshold; // 0.5% minimum change by default
   
   if (Math.abs(finalD) < minThreshold) {
-    return "Hold";
+    return "Hold" + binding;
   } else if (finalD > 0) {
-    return "Increase " + (finalD * 100).toFixed(2) + "%";
+    return "Increase " + (finalD * 100).toFixed(2) + "%" + binding;
   } else {
-    return "Decrease " + (Math.abs(finalD) * 100).toFixed(2) + "%";
+    return "Decrease " + (Math.abs(finalD) * 100).toFixed(2) + "%" + binding;
+  }
+}
+
+// "10%" (text) or 0.1 as a weight, the same way the allocations column is read
+function parseAllocation(raw) {
+  if (typeof raw === "string" && raw.trim().endsWith("%")) {
+    return parseFloat(raw) / 100;
   }
+  return parseFloat(raw);
+}
+
+/**
+ * Lowest and highest target weight per ticker: the Asset Metadata floor/ceiling, narrowed
+ * to the current weight +/- maxMove of itself (0.15 lets 10% go from 8.5% to 11.5%; a
+ * ticker at 0% isn't limited). Each bound records which rule set it ("floor", "ceiling"
+ * or "max move"). Returns null when no allocation summing to 100% fits.
+ */
+function allocationBounds(tickers, allocMap, bands, maxMove) {
+  var bounds = {};
+  var sumLo = 0, sumHi = 0;
+  tickers.forEach(function(t) {
+    var floor = (t in bands.floors) ? bands.floors[t] : 0;
+    var ceiling = (t in bands.ceilings) ? bands.ceilings[t] : 1;
+    var move = allocMap[t] > 0 ? allocMap[t] * maxMove : Infinity;
+    var lo = allocMap[t] - move > floor ? { value: allocMap[t] - move, rule: "max move" } : { value: floor, rule: "floor" };
+    var hi = allocMap[t] + move < ceiling ? { value: allocMap[t] + move, rule: "max move" } : { value: ceiling, rule: "ceiling" };
+    bounds[t] = { lo: lo, hi: hi };
+    sumLo += lo.value;
+    sumHi += hi.value;
+  });
+  return (sumLo <= 1 + 1e-9 && sumHi >= 1 - 1e-9) ? bounds : null;
+}
+
+/**
+ * Pins tickers that fall outside their bounds to the bound and rescales the others so the
+ * total stays at 100%, repeating until everything fits. If everything ends up pinned with
+ * the total off 100%, the difference is spread over the tickers with room left.
+ * Returns { weights: {ticker: weight}, binding: {ticker: rule} } for the pinned tickers.
+ */
+function applyAllocationBounds(targets, bounds) {
+  var tickers = Object.keys(targets);
+  var weights = {}, binding = {};
+  for (var pass = 0; pass <= tickers.length; pass++) {
+    var free = tickers.filter(function(t) { return !(t in binding); });
+    var room = 1, freeSum = 0;
+    tickers.forEach(function(t) {
+      if (t in binding) room -= weights[t];
+      else freeSum += targets[t];
+    });
+    free.forEach(function(t) {
+      weights[t] = freeSum ? targets[t] * room / freeSum : room / free.length;
+    });
+    
+    var low = free.filter(function(t) { return weights[t] < bounds[t].lo.value - 1e-9; });
+    var high = free.filter(function(t) { return weights[t] > bounds[t].hi.value + 1e-9; });
+    if (!low.length && !high.length) break;
+    
+    // Pin the side that's further out; rescaling may bring the other side back in
+    var shortfall = 0, excess = 0;
+    low.forEach(function(t) { shortfall += bounds[t].lo.value - weights[t]; });
+    high.forEach(function(t) { excess += weights[t] - bounds[t].hi.value; });
+    var pinned = shortfall >= excess ? low : high;
+    pinned.forEach(function(t) {
+      var bound = shortfall >= excess ? bounds[t].lo : bounds[t].hi;
+      weights[t] = bound.value;
+      binding[t] = bound.rule;
+    });
+  }
+  
+  var gap = 1;
+  tickers.forEach(function(t) { gap -= weights[t]; });
+  if (Math.abs(gap) > 1e-9) {
+    var side = gap > 0 ? "hi" : "lo";
+    var room = {}, totalRoom = 0;
+    tickers.forEach(function(t) {
+      room[t] = Math.abs(bounds[t][side].value - weights[t]);
+      totalRoom += room[t];
+    });
+    if (totalRoom < Math.abs(gap) - 1e-9) throw new Error("Allocation bounds can't add up to 100%");
+    tickers.forEach(function(t) {
+      if (!room[t]) return;
+      weights[t] += gap * room[t] / totalRoom;
+      if (Math.abs(weights[t] - bounds[t][side].value) < 1e-9) binding[t] = bounds[t][side].rule;
+      else delete binding[t];
+    });
+  }
+  return { weights: weights, binding: binding };
 }
 
 /**
@@ -1071,16 +1329,6 @@ function getEnhancedMarketData(ss) {
  * Get rebalancing-specific configuration
  */
 function getRebalanceConfig(ss) {
-  // Start with the same config as market signals
-  var config = getConfigData(ss);
-  
-  // Add rebalancing-specific parameters
-  config.rebalancing = {
-    minThreshold: 0.005,    // Minimum 0.5% change to trigger signal
-    maxSingleMove: 0.15,    // Maximum 15% single asset move
-    volatilityAdjustment: true, // Reduce moves during high volatility
-    balanceConstraint: true     // Ensure defensive/equity moves offset
-  };
-  
-  return config;
+  // Same config as market signals; rebalancing parameters live under config.rebalancing
+  return getConfigData(ss);
 }
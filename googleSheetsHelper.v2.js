@@ -65,12 +65,188 @@ const CONFIG = {
   // Rebalancing parameters
   REBALANCING: {
     minThreshold: 0.005,    // 0.5%
-    maxSingleMove: 0.15,    // 15%
+    maxSingleMove: 0.15,    // 15% of the ticker's own weight
     volatilityAdjustment: true,
-    balanceConstraint:     true
+    balanceConstraint:     true,
+    minTradeValue: 100,     // $; smaller trades are left out of the trade list
+    commission:    9.95     // $ per trade, for the trade list's estimate
   }
 };
  
+// -----------------------------------------------------------------------------
+// Config sheet: dotted key/value overrides for the defaults above
+// -----------------------------------------------------------------------------
+// Column A holds the key, column B the value (or "key = value" in column A):
+//   weights.vix                1.5
+//   thresholds.cpi.high        4
+//   rebalancing.minThreshold   0.5%
+// Only fractions (minThreshold, maxSingleMove) take a "%", and "0.5%" and 0.005 are the
+// same value. Keys that aren't listed keep their default. Put =CHECK_CONFIG(A1:B) in a cell beside
+// the table to see what was applied and which rows were rejected.
+const CONFIG_SHEET = 'Config';
+
+// First part of a sheet key → CONFIG property
+const CONFIG_SECTIONS = {
+  thresholds:   'THRESHOLDS',
+  weights:      'WEIGHTS',
+  trendPeriods: 'TREND_PERIODS',
+  rebalancing:  'REBALANCING'
+};
+
+// Every key the sheet may set, with its type and allowed range. Fractions may be written
+// as percentages; minThreshold stops at 10% so a bare 0.5 meant as 0.5% is rejected.
+const CONFIG_RULES = {
+  'thresholds.unemployment.veryLow':  { min: 0, max: 30 },
+  'thresholds.unemployment.low':      { min: 0, max: 30 },
+  'thresholds.unemployment.high':     { min: 0, max: 30 },
+  'thresholds.unemployment.veryHigh': { min: 0, max: 30 },
+  'thresholds.cpi.veryLow':           { min: -5, max: 20 },
+  'thresholds.cpi.target':            { min: -5, max: 20 },
+  'thresholds.cpi.tolerance':         { min: 0, max: 10 },
+  'thresholds.cpi.high':              { min: -5, max: 20 },
+  'thresholds.vix.low':               { min: 0, max: 100 },
+  'thresholds.vix.normal':            { min: 0, max: 100 },
+  'thresholds.vix.elevated':          { min: 0, max: 100 },
+  'thresholds.vix.high':              { min: 0, max: 100 },
+  'weights.unemployment':             { min: 0, max: 10 },
+  'weights.usCPI':                    { min: 0, max: 10 },
+  'weights.canCPI':                   { min: 0, max: 10 },
+  'weights.canGDP':                   { min: 0, max: 10 },
+  'weights.vix':                      { min: 0, max: 10 },
+  'weights.yieldCurve':               { min: 0, max: 10 },
+  'weights.creditSpread':             { min: 0, max: 10 },
+  'trendPeriods':                     { min: 1, max: 24, integer: true },
+  'rebalancing.minThreshold':         { min: 0, max: 0.1, fraction: true },
+  'rebalancing.maxSingleMove':        { min: 0, max: 1, fraction: true },
+  'rebalancing.volatilityAdjustment': { type: 'boolean' },
+  'rebalancing.balanceConstraint':    { type: 'boolean' },
+  'rebalancing.minTradeValue':        { min: 0, max: 1000000 },
+  'rebalancing.commission':           { min: 0, max: 1000 }
+};
+
+// Threshold sets that only make sense in increasing order
+const CONFIG_ORDER = [
+  ['thresholds.unemployment', ['veryLow', 'low', 'high', 'veryHigh']],
+  ['thresholds.cpi',          ['veryLow', 'target', 'high']],
+  ['thresholds.vix',          ['low', 'normal', 'elevated', 'high']]
+];
+
+function configPath(key) {
+  const parts = key.split('.');
+  return [CONFIG_SECTIONS[parts[0]]].concat(parts.slice(1));
+}
+
+function getConfigValue(cfg, key) {
+  return configPath(key).reduce((obj, part) => obj[part], cfg);
+}
+
+function setConfigValue(cfg, key, value) {
+  const path = configPath(key);
+  const last = path.pop();
+  path.reduce((obj, part) => obj[part], cfg)[last] = value;
+}
+
+// Sheet cell → typed value. Accepts numbers, "1.5", "0.5%" and TRUE/FALSE/yes/no.
+function parseConfigValue(raw, rule) {
+  if (rule.type === 'boolean') {
+    if (typeof raw === 'boolean') return raw;
+    const text = String(raw).trim().toLowerCase();
+    if (['true', 'yes', 'on', '1'].includes(text)) return true;
+    if (['false', 'no', 'off', '0'].includes(text)) return false;
+    throw new Error(`expected TRUE or FALSE, got "${raw}"`);
+  }
+  let n = raw;
+  if (typeof raw !== 'number') {
+    const text = String(raw).trim().replace(/,/g, '');
+    const percent = text.endsWith('%');
+    if (percent && !rule.fraction) throw new Error(`only fractions can be percentages, got "${raw}"`);
+    n = percent ? Number(text.slice(0, -1)) / 100 : Number(text);
+  }
+  if (!isFinite(n)) throw new Error(`expected a number, got "${raw}"`);
+  if (rule.integer && n !== Math.round(n)) throw new Error(`expected a whole number, got ${n}`);
+  if (n < rule.min || n > rule.max) {
+    const show = v => (rule.fraction ? `${Number((v * 100).toFixed(6))}%` : v);
+    throw new Error(`must be between ${show(rule.min)} and ${show(rule.max)}, got ${show(n)}`);
+  }
+  return n;
+}
+
+/**
+ * Merges Config sheet rows ([[key, value], ...]) over the defaults in CONFIG.
+ * Returns { config, applied, problems }: a copy of CONFIG with the overrides, the keys that
+ * were used, and one message per unknown, invalid or contradictory row. Rejected values
+ * keep their defaults. Blank rows, blank values and "#" comments are ignored.
+ */
+function readConfigRows(rows) {
+  const cfg = JSON.parse(JSON.stringify(CONFIG));
+  const problems = [];
+  const applied = {};
+  const keysByLowerCase = {};
+  Object.keys(CONFIG_RULES).forEach(k => { keysByLowerCase[k.toLowerCase()] = k; });
+
+  rows.forEach(r => {
+    let name = String(r[0] == null ? '' : r[0]).trim();
+    let value = r[1];
+    if ((value === '' || value == null) && name.includes('=')) {
+      value = name.slice(name.indexOf('=') + 1).trim();
+      name = name.slice(0, name.indexOf('=')).trim();
+    }
+    if (!name || name.startsWith('#') || /^(key|setting)s?$/i.test(name)) return;
+
+    const key = keysByLowerCase[name.toLowerCase()];
+    if (!key) { problems.push(`${name}: unknown key`); return; }
+    if (value === '' || value == null) return;
+    if (applied[key]) problems.push(`${key}: set more than once, using the last value`);
+    try {
+      setConfigValue(cfg, key, parseConfigValue(value, CONFIG_RULES[key]));
+      applied[key] = true;
+    } catch (e) {
+      problems.push(`${key}: ${e.message}; using ${getConfigValue(cfg, key)}`);
+    }
+  });
+
+  CONFIG_ORDER.forEach(([group, names]) => {
+    const values = names.map(n => getConfigValue(cfg, `${group}.${n}`));
+    if (values.every((v, i) => i === 0 || v > values[i - 1])) return;
+    problems.push(`${group}: ${names.join(' < ')} doesn't hold (${values.join(', ')}); using the defaults`);
+    names.forEach(n => {
+      const key = `${group}.${n}`;
+      setConfigValue(cfg, key, getConfigValue(CONFIG, key));
+      delete applied[key];
+    });
+  });
+
+  return { config: cfg, applied: Object.keys(applied), problems };
+}
+
+function readConfigSheet() {
+  const sh = SpreadsheetApp.getActive().getSheetByName(CONFIG_SHEET);
+  return sh && sh.getLastRow() ? sh.getRange(1, 1, sh.getLastRow(), 2).getValues() : [];
+}
+
+// CONFIG with the Config sheet's overrides, read once per execution
+let loadedConfig = null;
+function getConfig() {
+  if (!loadedConfig) {
+    const result = readConfigRows(readConfigSheet());
+    result.problems.forEach(p => Logger.log(`Config sheet: ${p}`));
+    loadedConfig = result.config;
+  }
+  return loadedConfig;
+}
+
+/**
+ * Status line(s) for the Config sheet, e.g. =CHECK_CONFIG(A1:B) in D1.
+ * Passing the table makes the cell update whenever it's edited; without an
+ * argument the 'Config' sheet is read directly.
+ */
+function CHECK_CONFIG(rows) {
+  const { applied, problems } = readConfigRows(Array.isArray(rows) ? rows : readConfigSheet());
+  const summary = `${applied.length} setting${applied.length === 1 ? '' : 's'} applied, the rest use defaults`;
+  if (!problems.length) return `OK: ${summary}.`;
+  return [`${problems.length} problem${problems.length === 1 ? '' : 's'} (${summary}):`].concat(problems).join('\n');
+}
+ 
 // -----------------------------------------------------------------------------
 // Utility: Fetch from cache or call function
 // -----------------------------------------------------------------------------
@@ -148,6 +324,31 @@ function fetchYahooVIX() {
   });
 }
  
+// Class shares are dotted in the sheet (BRK.B) but dashed on Yahoo (BRK-B);
+// exchange suffixes (.TO, .V) are kept.
+function yahooSymbol(ticker) {
+  return String(ticker).replace(/^([A-Z]+)\.([AB])$/, '$1-$2');
+}
+ 
+// Latest price and its currency for a ticker
+function fetchYahooQuote(ticker) {
+  const symbol = yahooSymbol(ticker);
+  return withCache('YH_QUOTE_' + symbol, 900, () => {
+    try {
+      const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}` +
+                  `?range=5d&interval=1d`;
+      const resp = UrlFetchApp.fetch(url, { muteHttpExceptions: true });
+      if (resp.getResponseCode() !== 200) throw new Error(resp.getResponseCode());
+      const meta = JSON.parse(resp.getContentText()).chart.result[0].meta;
+      if (meta.regularMarketPrice == null) throw new Error('No data');
+      return { value: meta.regularMarketPrice, currency: meta.currency || 'CAD', ok: true };
+    } catch (e) {
+      Logger.log(`Yahoo ${symbol} quote error: ${e}`);
+      return { value: null, currency: null, ok: false };
+    }
+  });
+}
+ 
 // Historical series for trend analysis
 function fetchFredSeries(seriesId, count) {
   return withCache(`FRED_SERIES_${seriesId}_${count}`, 21600, () => {
@@ -170,6 +371,52 @@ function fetchFredSeries(seriesId, count) {
   });
 }
  
+// Monthly history for backtests, old→new: [{ date, value }]. units 'pc1' turns an index
+// (CPI) into % change from a year ago; monthly=false keeps quarterly series as they are.
+function fetchFredHistory(seriesId, units, monthly) {
+  return withCache(`FRED_HIST_${seriesId}_${units}`, 21600, () => {
+    try {
+      const url = `https://api.stlouisfed.org/fred/series/observations` +
+                  `?series_id=${seriesId}` +
+                  `&api_key=${CONFIG.FRED_API_KEY}` +
+                  `&file_type=json&units=${units}` +
+                  (monthly ? '&frequency=m&aggregation_method=avg' : '');
+      const resp = UrlFetchApp.fetch(url, { muteHttpExceptions: true });
+      if (resp.getResponseCode() !== 200) throw new Error(resp.getResponseCode());
+      return JSON.parse(resp.getContentText()).observations
+        .filter(o => o.value !== '.' && !isNaN(+o.value))
+        .map(o => ({ date: o.date, value: +o.value }));
+    } catch (e) {
+      Logger.log(`FRED history ${seriesId} error: ${e}`);
+      return [];
+    }
+  });
+}
+ 
+// Month-end adjusted closes: { 'yyyy-MM': price } in the listing's currency
+function fetchYahooMonthly(ticker) {
+  const symbol = yahooSymbol(ticker);
+  return withCache('YH_MONTHLY_' + symbol, 21600, () => {
+    try {
+      const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}` +
+                  `?range=max&interval=1mo`;
+      const resp = UrlFetchApp.fetch(url, { muteHttpExceptions: true });
+      if (resp.getResponseCode() !== 200) throw new Error(resp.getResponseCode());
+      const result = JSON.parse(resp.getContentText()).chart.result[0];
+      const closes = (result.indicators.adjclose || result.indicators.quote)[0];
+      const prices = {};
+      result.timestamp.forEach((ts, i) => {
+        const close = (closes.adjclose || closes.close)[i];
+        if (close != null) prices[new Date(ts * 1000).toISOString().slice(0, 7)] = close;
+      });
+      return { prices, currency: result.meta.currency || 'CAD', ok: true };
+    } catch (e) {
+      Logger.log(`Yahoo ${symbol} monthly error: ${e}`);
+      return { prices: {}, currency: null, ok: false };
+    }
+  });
+}
+ 
 // -----------------------------------------------------------------------------
 // Indicator Gathering and Health Check
 // -----------------------------------------------------------------------------
@@ -215,44 +462,44 @@ function calculateTrend(historical, periods) {
 // -----------------------------------------------------------------------------
 // Scoring Functions
 // -----------------------------------------------------------------------------
-function calculateUnemploymentScore(curr, hist) {
+function calculateUnemploymentScore(curr, hist, cfg = CONFIG) {
   if (curr == null) return { score:0, desc:'No data' };
-  const t = CONFIG.THRESHOLDS.unemployment;
+  const t = cfg.THRESHOLDS.unemployment;
   let base=0, d=`${curr}%`;
   if (curr < t.veryLow)      { base=2; d+=' (Very Low)'; }
   else if (curr < t.low)     { base=1; d+=' (Low)'; }
   else if (curr > t.veryHigh){ base=-2; d+=' (Very High)'; }
   else if (curr > t.high)    { base=-1; d+=' (High)'; }
   else                       { base=0; d+=' (Normal)'; }
-  const adj = calculateTrend(hist, CONFIG.TREND_PERIODS);
+  const adj = calculateTrend(hist, cfg.TREND_PERIODS);
   if (adj) { base -= adj*0.5; d += adj>0?' Rising':' Falling'; }
   return { score:Math.max(-2,Math.min(2,base)), description:d };
 }
  
-function calculateCPIScore(curr, hist, region) {
+function calculateCPIScore(curr, hist, region, cfg = CONFIG) {
   if (curr==null) return { score:0, desc:'No data' };
-  const t = CONFIG.THRESHOLDS.cpi;
+  const t = cfg.THRESHOLDS.cpi;
   let base=0, d=`${curr}%`;
   if (curr < t.veryLow)             { base=-1; d+=' (Deflation Risk)'; }
   else if (Math.abs(curr - t.target) <= t.tolerance) { base=1; d+=' (On Target)'; }
   else if (curr > t.high)           { base=-2; d+=' (High Inflation)'; }
   else if (curr > t.target + t.tolerance){ base=-1; d+=' (Above Target)'; }
   else                               { base=0; d+=' (Below Target)'; }
-  const adj = calculateTrend(hist, CONFIG.TREND_PERIODS);
+  const adj = calculateTrend(hist, cfg.TREND_PERIODS);
   if (adj) { base -= Math.sign(adj)*0.3; d+= adj>0?' Rising':' Falling'; }
   return { score:Math.max(-2,Math.min(2,base)), description:d };
 }
  
-function calculateVIXScore(curr, hist) {
+function calculateVIXScore(curr, hist, cfg = CONFIG) {
   if (curr==null) return { score:0, desc:'No data' };
-  const t = CONFIG.THRESHOLDS.vix;
+  const t = cfg.THRESHOLDS.vix;
   let base=0, d=`${curr}`;
   if (curr < t.low)        { base=1; d+=' (Low Vol)'; }
   else if (curr < t.normal){ base=0.5; d+=' (Normal)'; }
   else if (curr < t.elevated){ base=-0.5; d+=' (Elevated)'; }
   else if (curr < t.high)   { base=-1; d+=' (High)'; }
   else                       { base=-2; d+=' (Very High)'; }
-  const adj = calculateTrend(hist, CONFIG.TREND_PERIODS);
+  const adj = calculateTrend(hist, cfg.TREND_PERIODS);
   if (adj) { base -= adj*0.4; d += adj>0?' Rising':' Falling'; }
   return { score:Math.max(-2,Math.min(2,base)), description:d };
 }
@@ -268,26 +515,26 @@ function calculateGDPScore(curr) {
   return { score:base, description:curr };
 }
  
-function calculateYieldScore(curr, hist) {
+function calculateYieldScore(curr, hist, cfg = CONFIG) {
   if (curr==null) return { score:0, desc:'No data' };
   let base=0, d=`${curr}%`;
   if      (curr > 0.5)  { base=1; d+=' (Positive)'; }
   else if (curr > -0.5) { base=0; d+=' (Flat)'; }
   else if (curr > -1.0) { base=-1; d+=' (Inverted)'; }
   else                  { base=-2; d+=' (Deep Inversion)'; }
-  const adj = calculateTrend(hist, CONFIG.TREND_PERIODS);
+  const adj = calculateTrend(hist, cfg.TREND_PERIODS);
   if (adj) { base += adj*0.3; d += adj>0?' Steepening':' Flattening'; }
   return { score:Math.max(-2,Math.min(2,base)), description:d };
 }
  
-function calculateCreditScore(curr, hist) {
+function calculateCreditScore(curr, hist, cfg = CONFIG) {
   if (curr==null) return { score:0, desc:'No data' };
   let base=0, d=`${curr}%`;
   if      (curr < 1.0) base=1, d+=' (Low)';
   else if (curr < 2.0) base=0, d+=' (Normal)';
   else if (curr < 3.0) base=-1, d+=' (Elevated)';
   else                 base=-2, d+=' (High)';
-  const adj = calculateTrend(hist, CONFIG.TREND_PERIODS);
+  const adj = calculateTrend(hist, cfg.TREND_PERIODS);
   if (adj) { base -= adj*0.4; d += adj>0?' Widening':' Tightening'; }
   return { score:Math.max(-2,Math.min(2,base)), description:d };
 }
@@ -296,6 +543,7 @@ function calculateCreditScore(curr, hist) {
 // Aggregation: Enhanced Market Data
 // -----------------------------------------------------------------------------
 function getEnhancedMarketData() {
+  const cfg = getConfig();
   const ind = getIndicatorData();
   const hist = {
     unemployment: fetchFredSeries(CONFIG.FRED_SERIES.unemployment, 6).map(o=>o.value),
@@ -307,21 +555,32 @@ function getEnhancedMarketData() {
     vix:          fetchFredSeries(CONFIG.FRED_SERIES.vix, 180).map(o=>o.value) // monthly avg not implemented here
   };
   const scores = {
-    unemployment: calculateUnemploymentScore(ind.unemployment.value, hist.unemployment).score,
-    usCPI:        calculateCPIScore(ind.usCPI.value, hist.usCPI, 'US').score,
-    canCPI:       calculateCPIScore(ind.canCPI.value, hist.canCPI, 'CA').score,
+    unemployment: calculateUnemploymentScore(ind.unemployment.value, hist.unemployment, cfg).score,
+    usCPI:        calculateCPIScore(ind.usCPI.value, hist.usCPI, 'US', cfg).score,
+    canCPI:       calculateCPIScore(ind.canCPI.value, hist.canCPI, 'CA', cfg).score,
     canGDP:       calculateGDPScore(ind.canGDP.value).score,
-    vix:          calculateVIXScore(ind.vix.value, hist.vix).score,
-    yieldCurve:   calculateYieldScore(ind.yieldCurve.value, hist.yieldCurve).score,
-    creditSpread: calculateCreditScore(ind.creditSpread.value, hist.creditSpread).score
+    vix:          calculateVIXScore(ind.vix.value, hist.vix, cfg).score,
+    yieldCurve:   calculateYieldScore(ind.yieldCurve.value, hist.yieldCurve, cfg).score,
+    creditSpread: calculateCreditScore(ind.creditSpread.value, hist.creditSpread, cfg).score
   };
-  return { indicators: ind, scores, config: CONFIG };
+  return { indicators: ind, scores, config: cfg };
 }
  
 // -----------------------------------------------------------------------------
-// Main: GET_REBALANCE_SIGNAL(assetTicker)
+// Rebalance plan: target allocation for the whole portfolio
 // -----------------------------------------------------------------------------
-function GET_REBALANCE_SIGNAL(assetTicker) {
+// "25.03%", 0.2503 or 25.03 → 0.2503
+function parseWeight(raw) {
+  let a = parseFloat((''+raw).replace('%',''));
+  // if the user typed 5.14 (no %), assume it was meant to be a percent
+  if (a > 1) a = a/100;
+  // now a is in [0..1]
+  return a;
+}
+ 
+// Asset Allocations: A=ticker, B=current weight. Asset Metadata: A=ticker, B=class,
+// C=region, D=sensitivity, E=floor and F=ceiling for the target weight (both optional).
+function loadPortfolio() {
   const ss = SpreadsheetApp.getActive();
   const allocSh = ss.getSheetByName('Asset Allocations');
   const metaSh = ss.getSheetByName('Asset Metadata');
@@ -332,73 +591,142 @@ function GET_REBALANCE_SIGNAL(assetTicker) {
   allocData.forEach(r => {
     const t = r[0], raw = r[1];
     if (!t || raw === '') return;
-    let a = parseFloat((''+raw).replace('%',''));
-    // if the user typed 5.14 (no %), assume it was meant to be a percent
-    if (a > 1) a = a/100;
-    // now a is in [0..1]
-    allocMap[t] = a;
+    allocMap[t] = parseWeight(raw);
     tickers.push(t);
   });
  
   // Load metadata
-  const meta = metaSh.getRange('A2:D' + metaSh.getLastRow()).getValues();
-  const classMap={}, regionMap={}, sensMap={};
+  const meta = metaSh.getRange('A2:F' + metaSh.getLastRow()).getValues();
+  const classMap={}, regionMap={}, sensMap={}, floorMap={}, ceilingMap={};
   meta.forEach(r=>{ 
     classMap[r[0]] = r[1]; 
     regionMap[r[0]] = r[2]; 
     sensMap[r[0]] = parseFloat(r[3]) || 1; 
+    if (r[4] !== '') floorMap[r[0]] = parseWeight(r[4]);
+    if (r[5] !== '') ceilingMap[r[0]] = parseWeight(r[5]);
   });
 
-  // Fetch market scores
-  const mkt = getEnhancedMarketData();
-  const scores = mkt.scores;
-  const cfg = mkt.config;
- 
-  // Regional score (weighted average of indicators based on region)
-  function getRegionalScore(t) {
-    const region = regionMap[t] || 'Global';
-    let total = 0, wsum = 0;
-    if (region === 'U.S.') {
-      [['unemployment',1.5], ['usCPI',1.3], ['vix',1.2], ['yieldCurve',1.1], ['creditSpread',1.1]]
-        .forEach(([k, m]) => { total += scores[k] * cfg.WEIGHTS[k] * m; wsum += cfg.WEIGHTS[k] * m; });
-    } else if (region === 'Canada') {
-      [['canCPI',1.5], ['canGDP',1.4], ['unemployment',0.7], ['vix',0.8]]
-        .forEach(([k, m]) => { total += scores[k] * cfg.WEIGHTS[k] * m; wsum += cfg.WEIGHTS[k] * m; });
-    } else {
-      for (const k in scores) {
-        if (cfg.WEIGHTS[k] != null) { 
-          total += scores[k] * cfg.WEIGHTS[k]; 
-          wsum += cfg.WEIGHTS[k]; 
-        }
+  return { tickers, allocMap, classMap, regionMap, sensMap, floorMap, ceilingMap };
+}
+ 
+// Regional score (weighted average of indicators based on region)
+function getRegionalScore(region, scores, cfg) {
+  let total = 0, wsum = 0;
+  if (region === 'U.S.') {
+    [['unemployment',1.5], ['usCPI',1.3], ['vix',1.2], ['yieldCurve',1.1], ['creditSpread',1.1]]
+      .forEach(([k, m]) => { total += scores[k] * cfg.WEIGHTS[k] * m; wsum += cfg.WEIGHTS[k] * m; });
+  } else if (region === 'Canada') {
+    [['canCPI',1.5], ['canGDP',1.4], ['unemployment',0.7], ['vix',0.8]]
+      .forEach(([k, m]) => { total += scores[k] * cfg.WEIGHTS[k] * m; wsum += cfg.WEIGHTS[k] * m; });
+  } else {
+    for (const k in scores) {
+      if (cfg.WEIGHTS[k] != null) { 
+        total += scores[k] * cfg.WEIGHTS[k]; 
+        wsum += cfg.WEIGHTS[k]; 
       }
     }
-    return wsum ? total / wsum : 0;
   }
+  return wsum ? total / wsum : 0;
+}
  
-  // Delta calculation for a given asset
-  function calcDelta(t) {
-    const regionScore = getRegionalScore(t);
-    let shift = 0;
-    if      (regionScore >= 1.5)  shift = 0.08;
-    else if (regionScore >= 0.75) shift = 0.05;
-    else if (regionScore >= 0.25) shift = 0.025;
-    else if (regionScore >= -0.25) shift = 0;
-    else if (regionScore >= -0.75) shift = -0.025;
-    else if (regionScore >= -1.5) shift = -0.05;
-    else                          shift = -0.08;
-    shift *= sensMap[t];  // adjust for asset sensitivity
-    if (cfg.REBALANCING.volatilityAdjustment) {
-      const vixScore = scores.vix;
-      if (vixScore < -1) shift *= 0.7;  // reduce shifts in very low-volatility regime
-    }
-    // Invert shift for defensive assets (they move opposite to risk appetite)
-    return (classMap[t] === 'Defensive') ? -shift : shift;
+// Delta calculation for a given asset
+function calcDelta(t, portfolio, scores, cfg) {
+  const regionScore = getRegionalScore(portfolio.regionMap[t] || 'Global', scores, cfg);
+  let shift = 0;
+  if      (regionScore >= 1.5)  shift = 0.08;
+  else if (regionScore >= 0.75) shift = 0.05;
+  else if (regionScore >= 0.25) shift = 0.025;
+  else if (regionScore >= -0.25) shift = 0;
+  else if (regionScore >= -0.75) shift = -0.025;
+  else if (regionScore >= -1.5) shift = -0.05;
+  else                          shift = -0.08;
+  shift *= portfolio.sensMap[t] || 1;  // adjust for asset sensitivity
+  if (cfg.REBALANCING.volatilityAdjustment) {
+    const vixScore = scores.vix;
+    if (vixScore < -1) shift *= 0.7;  // reduce shifts in very low-volatility regime
+  }
+  // Invert shift for defensive assets (they move opposite to risk appetite)
+  return (portfolio.classMap[t] === 'Defensive') ? -shift : shift;
+}
+ 
+// REBALANCING.maxSingleMove is relative to the weight itself: 0.15 lets a 10% holding go
+// to anywhere from 8.5% to 11.5% in one run, the same way Change and minThreshold are
+// relative. A ticker at 0% has nothing to take a fraction of, so it isn't limited.
+function maxMoveRange(current, maxSingleMove) {
+  const move = current > 0 ? current * maxSingleMove : Infinity;
+  return { lo: current - move, hi: current + move };
+}
+ 
+// Lowest and highest target weight for a ticker: its Asset Metadata band, narrowed to the
+// maxMoveRange around its current weight unless withMaxMove is false. "Current" is the
+// weight in 'Asset Allocations'; the trade list applies the same range again to what
+// 'Holdings' actually has. Each bound carries the rule that set it, which is what the
+// plan reports when the bound binds.
+function allocationBounds(t, portfolio, cfg, withMaxMove) {
+  const range = maxMoveRange(portfolio.allocMap[t], withMaxMove ? cfg.REBALANCING.maxSingleMove : Infinity);
+  const floor = portfolio.floorMap[t] != null ? portfolio.floorMap[t] : 0;
+  const ceiling = portfolio.ceilingMap[t] != null ? portfolio.ceilingMap[t] : 1;
+  return {
+    lo: range.lo > floor   ? { value: range.lo, rule: 'max move' } : { value: floor, rule: 'floor' },
+    hi: range.hi < ceiling ? { value: range.hi, rule: 'max move' } : { value: ceiling, rule: 'ceiling' }
+  };
+}
+ 
+/**
+ * Fits normalized targets ({ ticker: weight }, summing to 1) inside bounds while keeping
+ * the sum at 1: tickers outside their bounds are pinned to them and the rest of the
+ * portfolio is rescaled, repeatedly, until nothing is out of bounds. If that ends with
+ * everything pinned and the total off 100%, the difference is spread over the tickers
+ * with room left; bounds that can't add up to 100% at all are an error.
+ * Returns { weights, binding } where binding maps each pinned ticker to its rule.
+ */
+function applyAllocationBounds(targets, bounds) {
+  const tickers = Object.keys(targets);
+  const weights = Object.assign({}, targets), binding = {};
+  for (let pass = 0; pass <= tickers.length; pass++) {
+    const free = tickers.filter(t => !(t in binding));
+    const room = 1 - tickers.filter(t => t in binding).reduce((sum, t) => sum + weights[t], 0);
+    const freeSum = free.reduce((sum, t) => sum + targets[t], 0);
+    free.forEach(t => { weights[t] = freeSum ? targets[t] * room / freeSum : room / free.length; });
+ 
+    const low = free.filter(t => weights[t] < bounds[t].lo.value - 1e-9);
+    const high = free.filter(t => weights[t] > bounds[t].hi.value + 1e-9);
+    if (!low.length && !high.length) break;
+    // Pin the side that's further out; rescaling may bring the other side back in
+    const shortfall = low.reduce((sum, t) => sum + bounds[t].lo.value - weights[t], 0);
+    const excess = high.reduce((sum, t) => sum + weights[t] - bounds[t].hi.value, 0);
+    (shortfall >= excess ? low.map(t => [t, bounds[t].lo]) : high.map(t => [t, bounds[t].hi]))
+      .forEach(([t, bound]) => { weights[t] = bound.value; binding[t] = bound.rule; });
+  }
+ 
+  const gap = 1 - tickers.reduce((sum, t) => sum + weights[t], 0);
+  if (Math.abs(gap) > 1e-9) {
+    const side = gap > 0 ? 'hi' : 'lo';
+    const room = t => Math.abs(bounds[t][side].value - weights[t]);
+    const totalRoom = tickers.reduce((sum, t) => sum + room(t), 0);
+    if (totalRoom < Math.abs(gap) - 1e-9) throw new Error('Allocation bounds can\'t add up to 100%');
+    tickers.filter(t => room(t) > 0).forEach(t => {
+      weights[t] += gap * room(t) / totalRoom;
+      if (Math.abs(weights[t] - bounds[t][side].value) < 1e-9) binding[t] = bounds[t][side].rule;
+      else delete binding[t];
+    });
   }
+  return { weights, binding };
+}
+ 
+/**
+ * Target weights for every ticker from one set of market scores.
+ * Returns [{ ticker, current, target, change, regionScore, binding }], where change is the
+ * relative change (target / current - 1) that GET_REBALANCE_SIGNAL reports and binding is
+ * 'floor', 'ceiling' or 'max move' when that constraint held the target back ('' otherwise).
+ */
+function computeTargets(portfolio, scores, cfg) {
+  const { tickers, allocMap, classMap, regionMap } = portfolio;
  
   // Compute raw recommended shifts for all assets
   const rawDelta = {}, defList = [], eqList = [];
   tickers.forEach(t => {
-    rawDelta[t] = calcDelta(t);
+    rawDelta[t] = calcDelta(t, portfolio, scores, cfg);
     if (classMap[t] === 'Defensive') defList.push(t);
     else                             eqList.push(t);
   });
@@ -415,21 +743,610 @@ function GET_REBALANCE_SIGNAL(assetTicker) {
     }
   }
  
-  // Normalize and get final recommended allocation for the target asset
+  // Normalize, then fit the result inside the allocation bands
   const sumNew = tickers.reduce((sum, t) => 
                    sum + Math.max(0, allocMap[t] * (1 + rawDelta[t])), 0);
-  const oldAlloc = allocMap[assetTicker];
-  const newAlloc = Math.max(0, oldAlloc * (1 + rawDelta[assetTicker])) / sumNew;
-  const finalDelta = newAlloc / oldAlloc - 1;
+  const normalized = {};
+  tickers.forEach(t => { normalized[t] = Math.max(0, allocMap[t] * (1 + rawDelta[t])) / sumNew; });
+ 
+  const boundsFor = withMaxMove => {
+    const bounds = {};
+    tickers.forEach(t => { bounds[t] = allocationBounds(t, portfolio, cfg, withMaxMove); });
+    const lo = tickers.reduce((sum, t) => sum + bounds[t].lo.value, 0);
+    const hi = tickers.reduce((sum, t) => sum + bounds[t].hi.value, 0);
+    return (lo <= 1 + 1e-9 && hi >= 1 - 1e-9) ? bounds : null;
+  };
+  // Current weights that don't add up to 100% can make the max-move window impossible
+  let bounds = boundsFor(true);
+  if (!bounds) {
+    Logger.log('maxSingleMove can\'t be met from the current allocations; applying floors and ceilings only');
+    bounds = boundsFor(false);
+  }
+  if (!bounds) throw new Error('Asset Metadata floors add up to more than 100% (or ceilings to less)');
+  const fitted = applyAllocationBounds(normalized, bounds);
+ 
+  return tickers.map(t => {
+    const current = allocMap[t];
+    const target = fitted.weights[t];
+    return {
+      ticker: t,
+      current,
+      target,
+      change: current ? target / current - 1 : 0,
+      regionScore: getRegionalScore(regionMap[t] || 'Global', scores, cfg),
+      binding: fitted.binding[t] || ''
+    };
+  });
+}
+ 
+// Sheets, market data and targets in one pass; everything the plan functions need
+function computeRebalancePlan() {
+  const portfolio = loadPortfolio();
+  const mkt = getEnhancedMarketData();
+  return { portfolio, scores: mkt.scores, cfg: mkt.config, rows: computeTargets(portfolio, mkt.scores, mkt.config) };
+}
  
-  // Format output signal
-  if (Math.abs(finalDelta) < cfg.REBALANCING.minThreshold) {
-    return 'Hold';
+// "Increase 2.31%", or "Increase 2.31% (ceiling)" when a constraint held it back
+function formatSignal(change, cfg, binding) {
+  const suffix = binding ? ` (${binding})` : '';
+  if (Math.abs(change) < cfg.REBALANCING.minThreshold) {
+    return 'Hold' + suffix;
   }
+  return (change > 0)
+    ? `Increase ${(change * 100).toFixed(2)}%${suffix}`
+    : `Decrease ${(Math.abs(change) * 100).toFixed(2)}%${suffix}`;
+}
+ 
+// How strongly the ticker's regional indicators point one way
+function confidenceLevel(regionScore) {
+  const c = Math.abs(regionScore);
+  if (c >= 1.5)  return 'High';
+  if (c >= 0.75) return 'Medium';
+  if (c >= 0.25) return 'Low';
+  return 'None';
+}
+ 
+// -----------------------------------------------------------------------------
+// Main: GET_REBALANCE_SIGNAL(assetTicker) and GET_REBALANCE_PLAN(portfolioValue)
+// -----------------------------------------------------------------------------
+function GET_REBALANCE_SIGNAL(assetTicker) {
+  const plan = computeRebalancePlan();
+  const row = plan.rows.find(r => r.ticker === assetTicker);
+  if (!row) throw new Error(`${assetTicker} isn't in 'Asset Allocations'`);
+  return formatSignal(row.change, plan.cfg, row.binding);
+}
+ 
+/**
+ * The whole plan in one call, spilled from the formula cell:
+ *   Ticker | Current | Target | Change | Amount | Signal | Confidence | Constraint
+ * Current and Target are weights and Change is relative (format those columns as %).
+ * Constraint names the floor, ceiling or max move that held the target back, if any.
+ * Amount is the dollars to buy (+) or sell (-) when portfolioValue is given, e.g.
+ * =GET_REBALANCE_PLAN(B20), and blank otherwise.
+ */
+function GET_REBALANCE_PLAN(portfolioValue) {
+  const plan = computeRebalancePlan();
+  return rebalancePlanRows(plan.rows, plan.cfg, portfolioValue);
+}
 
-  return (finalDelta > 0)
-    ? `Increase ${(finalDelta * 100).toFixed(2)}%`
-    : `Decrease ${(Math.abs(finalDelta) * 100).toFixed(2)}%`;
+// GET_REBALANCE_PLAN's table for computeTargets' rows, header included
+function rebalancePlanRows(targets, cfg, portfolioValue) {
+  const value = parseFloat(portfolioValue);
+  const rows = targets.map(r => [
+    r.ticker,
+    r.current,
+    r.target,
+    r.change,
+    isNaN(value) ? '' : Math.round((r.target - r.current) * value * 100) / 100,
+    formatSignal(r.change, cfg),
+    confidenceLevel(r.regionScore),
+    r.binding
+  ]);
+  return [['Ticker', 'Current', 'Target', 'Change', 'Amount', 'Signal', 'Confidence', 'Constraint']].concat(rows);
+}
+
+
+// -----------------------------------------------------------------------------
+// Trade list: whole-share orders that move holdings toward the plan
+// -----------------------------------------------------------------------------
+const HOLDINGS_SHEET = 'Holdings';
+ 
+// Holdings: A=ticker, B=shares, C=price in CAD (optional, overrides the Yahoo quote)
+function loadHoldings() {
+  const sh = SpreadsheetApp.getActive().getSheetByName(HOLDINGS_SHEET);
+  if (!sh) throw new Error(`Add a '${HOLDINGS_SHEET}' sheet: ticker in A, shares in B, optional price in C.`);
+  const holdings = {};
+  if (sh.getLastRow() < 2) return holdings;
+  sh.getRange('A2:C' + sh.getLastRow()).getValues().forEach(r => {
+    if (!r[0]) return;
+    holdings[r[0]] = { shares: parseFloat(r[1]) || 0, price: parseFloat(r[2]) || null };
+  });
+  return holdings;
+}
+ 
+// Price per ticker as { price, currency, fxRate }, where price * fxRate is in CAD
+function loadPrices(tickers, holdings) {
+  const prices = {}, missing = [];
+  tickers.forEach(t => {
+    const override = holdings[t] && holdings[t].price;
+    if (override) { prices[t] = { price: override, currency: 'CAD', fxRate: 1 }; return; }
+    const q = fetchYahooQuote(t);
+    const fxRate = !q.ok ? null : q.currency === 'CAD' ? 1 : fetchYahooQuote(`${q.currency}CAD=X`).value;
+    if (!fxRate) { missing.push(t); return; }
+    prices[t] = { price: q.value, currency: q.currency, fxRate };
+  });
+  if (missing.length) {
+    throw new Error(`No price for ${missing.join(', ')}; enter one in '${HOLDINGS_SHEET}' column C.`);
+  }
+  return prices;
+}
+ 
+/**
+ * Orders that move holdings toward the plan's target weights, as sheet rows:
+ *   Action | Ticker | Shares | Price | Amount | Commission | Note
+ * Price is in the listing's currency; Amount and Commission are in CAD. Each target is
+ * kept within maxMoveRange of the ticker's current weight in the holdings (cash counts
+ * toward the total), so a Holdings sheet that has drifted from 'Asset Allocations' still
+ * can't trade past REBALANCING.maxSingleMove; the Note says which constraint held a
+ * target back, the plan's or this one ('max move'). Shares round toward zero, trades
+ * under minTradeValue are dropped, and buys (biggest first) only spend the cash on hand
+ * plus what the sells raise. The last row is the cash left, with how many trades were
+ * dropped for their size and how many buys for lack of cash.
+ */
+function buildTradeList(planRows, holdings, prices, cash, cfg) {
+  const r = cfg.REBALANCING;
+  const round2 = x => Math.round(x * 100) / 100;
+  const cad = t => prices[t].price * prices[t].fxRate;
+  const value = t => (holdings[t] ? holdings[t].shares : 0) * cad(t);
+  const total = planRows.reduce((sum, row) => sum + value(row.ticker), cash);
+  if (!total) throw new Error('Nothing to rebalance: no holdings and no cash.');
+ 
+  const orders = planRows.map(row => {
+    const current = value(row.ticker) / total;
+    const range = maxMoveRange(current, r.maxSingleMove);
+    const target = Math.min(range.hi, Math.max(range.lo, row.target));
+    const notes = target !== row.target ? ['max move'] : row.binding ? [row.binding] : [];
+    const p = prices[row.ticker];
+    if (p.currency !== 'CAD') notes.push(`${p.currency} @ ${p.fxRate.toFixed(4)}`);
+    // Rounded first so float noise (74.99999…) doesn't cost a share
+    const shares = Math.trunc(Math.round((target - current) * total / cad(row.ticker) * 1e6) / 1e6);
+    return { ticker: row.ticker, shares, notes };
+  });
+ 
+  const rows = [];
+  let available = cash, commissions = 0, skipped = 0, unaffordable = 0;
+  const trade = (action, o, shares, wanted = shares) => {
+    const amount = shares * cad(o.ticker);
+    if (!shares || amount < r.minTradeValue) {
+      // A buy that only got small because cash ran out wasn't skipped for its size
+      if (wanted * cad(o.ticker) >= r.minTradeValue) unaffordable++;
+      else                                           skipped++;
+      return;
+    }
+    available += (action === 'Sell' ? amount : -amount) - r.commission;
+    commissions += r.commission;
+    rows.push([action, o.ticker, shares, prices[o.ticker].price, round2(amount), r.commission, o.notes.join('; ')]);
+  };
+ 
+  // Sells first, so their proceeds can pay for the buys
+  orders.filter(o => o.shares < 0).forEach(o => trade('Sell', o, -o.shares));
+  orders.filter(o => o.shares > 0)
+    .sort((a, b) => b.shares * cad(b.ticker) - a.shares * cad(a.ticker))
+    .forEach(o => {
+      const affordable = Math.max(0, Math.floor((available - r.commission) / cad(o.ticker)));
+      if (affordable < o.shares) o.notes.push(`limited by cash (wanted ${o.shares})`);
+      trade('Buy', o, Math.min(o.shares, affordable), o.shares);
+    });
+ 
+  const plural = n => (n === 1 ? '' : 's');
+  const note = ['left over']
+    .concat(skipped ? [`${skipped} trade${plural(skipped)} under $${r.minTradeValue} skipped`] : [])
+    .concat(unaffordable ? [`${unaffordable} buy${plural(unaffordable)} skipped for lack of cash`] : [])
+    .join('; ');
+  rows.push(['Cash', '', '', '', round2(available), round2(commissions), note]);
+  return [['Action', 'Ticker', 'Shares', 'Price', 'Amount', 'Commission', 'Note']].concat(rows);
+}
+ 
+/**
+ * =GET_TRADE_LIST(cash): buy and sell orders for the current plan, spilled from the cell.
+ * cash is money available to invest on top of the Holdings sheet (default 0). Holdings
+ * that aren't in 'Asset Allocations' are left alone and don't count toward the total.
+ */
+function GET_TRADE_LIST(cash) {
+  const plan = computeRebalancePlan();
+  const holdings = loadHoldings();
+  const prices = loadPrices(plan.rows.map(r => r.ticker), holdings);
+  Object.keys(holdings)
+    .filter(t => !plan.rows.some(r => r.ticker === t))
+    .forEach(t => Logger.log(`${t} is in '${HOLDINGS_SHEET}' but not 'Asset Allocations'; leaving it alone`));
+  return buildTradeList(plan.rows, holdings, prices, parseFloat(cash) || 0, plan.cfg);
+}
+
+
+// -----------------------------------------------------------------------------
+// Backtest: replay the scoring model over monthly history
+// -----------------------------------------------------------------------------
+// Optional sheets, dates in column A and one column per name in row 1:
+//   'Backtest Indicators': unemployment | usCPI | canCPI | canGDP | vix | yieldCurve | creditSpread,
+//     in the units they're scored in (CPI as % change from a year ago). Missing columns come from FRED.
+//   'Backtest Prices': month-end prices in CAD per ticker. Missing tickers come from Yahoo.
+const BACKTEST_INDICATORS_SHEET = 'Backtest Indicators';
+const BACKTEST_PRICES_SHEET = 'Backtest Prices';
+ 
+// FRED series id, units and whether to average it to monthly, per indicator
+const BACKTEST_FRED = {
+  unemployment: [CONFIG.FRED_SERIES.unemployment, 'lin', true],
+  usCPI:        [CONFIG.FRED_SERIES.usCPI,        'pc1', true],
+  canCPI:       [CONFIG.FRED_SERIES.canCPI,       'pc1', true],
+  canGDP:       [CONFIG.FRED_SERIES.canGDP,       'lin', false],
+  vix:          [CONFIG.FRED_SERIES.vix,          'lin', true],
+  yieldCurve:   [CONFIG.FRED_SERIES.yieldCurve,   'lin', true],
+  creditSpread: [CONFIG.FRED_SERIES.creditSpread, 'lin', true]
+};
+ 
+// Months between an observation's date and the end of the month it's published in, so
+// each month is only scored with data that was out by then. Market data is same-month;
+// jobs and CPI come out the next month; a quarter's GDP about two months after it ends.
+const BACKTEST_RELEASE_LAG = {
+  unemployment: 1, usCPI: 1, canCPI: 1, canGDP: 4, vix: 0, yieldCurve: 0, creditSpread: 0
+};
+ 
+// Sheet date or "2015-01-31" → "2015-01". Sheet dates are midnight in the spreadsheet's
+// time zone, so they're read back in that one.
+function monthKey(value) {
+  return value instanceof Date
+    ? Utilities.formatDate(value, SpreadsheetApp.getActive().getSpreadsheetTimeZone(), 'yyyy-MM')
+    : String(value).trim().slice(0, 7);
+}
+ 
+function addMonths(month, n) {
+  const [y, m] = month.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1 + n, 1)).toISOString().slice(0, 7);
+}
+ 
+// { columnName: { 'yyyy-MM': value } } from a sheet laid out as described above
+function readMonthlySheet(name) {
+  const sh = SpreadsheetApp.getActive().getSheetByName(name);
+  if (!sh || sh.getLastRow() < 2) return {};
+  const [header, ...rows] = sh.getDataRange().getValues();
+  const columns = {};
+  header.slice(1).forEach((col, i) => {
+    if (!col) return;
+    columns[col] = {};
+    rows.forEach(r => {
+      if (r[0] !== '' && r[i + 1] !== '' && r[i + 1] != null) columns[col][monthKey(r[0])] = r[i + 1];
+    });
+  });
+  return columns;
+}
+ 
+// { indicator: [{ month, value }] } old→new, from the sheet where it has a column, else FRED
+function loadIndicatorHistory() {
+  const fromSheet = readMonthlySheet(BACKTEST_INDICATORS_SHEET);
+  const history = {};
+  Object.keys(BACKTEST_FRED).forEach(k => {
+    const [seriesId, units, monthly] = BACKTEST_FRED[k];
+    history[k] = fromSheet[k]
+      ? Object.keys(fromSheet[k]).sort().map(month => ({ month, value: fromSheet[k][month] }))
+      : fetchFredHistory(seriesId, units, monthly).map(o => ({ month: o.date.slice(0, 7), value: o.value }));
+    if (!history[k].length) Logger.log(`Backtest: no history for ${k}; it scores as neutral`);
+  });
+  return history;
+}
+ 
+// { ticker: { 'yyyy-MM': CAD price } }, from the sheet where it has a column, else Yahoo
+function loadBacktestPrices(tickers) {
+  const fromSheet = readMonthlySheet(BACKTEST_PRICES_SHEET);
+  const prices = {}, fxRates = {}, missing = [];
+  tickers.forEach(t => {
+    if (fromSheet[t]) { prices[t] = fromSheet[t]; return; }
+    const h = fetchYahooMonthly(t);
+    if (!h.ok) { missing.push(t); return; }
+    if (h.currency === 'CAD') { prices[t] = h.prices; return; }
+    const rates = fxRates[h.currency] || (fxRates[h.currency] = fetchYahooMonthly(`${h.currency}CAD=X`).prices);
+    prices[t] = {};
+    Object.keys(h.prices).forEach(m => { if (rates[m]) prices[t][m] = h.prices[m] * rates[m]; });
+  });
+  if (missing.length) {
+    throw new Error(`No price history for ${missing.join(', ')}; add a column to '${BACKTEST_PRICES_SHEET}'.`);
+  }
+  return prices;
+}
+ 
+// The scores getEnhancedMarketData would have returned at the end of `month`
+function scoresAsOf(history, month, cfg) {
+  const known = k => history[k].filter(p => p.month <= addMonths(month, -BACKTEST_RELEASE_LAG[k]));
+  const latest = k => { const p = known(k); return p.length ? p[p.length - 1].value : null; };
+  const hist = k => known(k).slice(-6).map(p => p.value);
+ 
+  // Numeric GDP (FRED levels) becomes the rising/falling text the GDP score reads
+  const gdp = known('canGDP');
+  let gdpTrend = latest('canGDP');
+  if (typeof gdpTrend === 'number') {
+    gdpTrend = gdp.length > 1 ? (gdpTrend >= gdp[gdp.length - 2].value ? 'rising' : 'falling') : null;
+  }
+ 
+  return {
+    unemployment: calculateUnemploymentScore(latest('unemployment'), hist('unemployment'), cfg).score,
+    usCPI:        calculateCPIScore(latest('usCPI'), hist('usCPI'), 'US', cfg).score,
+    canCPI:       calculateCPIScore(latest('canCPI'), hist('canCPI'), 'CA', cfg).score,
+    canGDP:       calculateGDPScore(gdpTrend).score,
+    vix:          calculateVIXScore(latest('vix'), hist('vix'), cfg).score,
+    yieldCurve:   calculateYieldScore(latest('yieldCurve'), hist('yieldCurve'), cfg).score,
+    creditSpread: calculateCreditScore(latest('creditSpread'), hist('creditSpread'), cfg).score
+  };
+}
+ 
+/**
+ * Replays the model: each month's weights come from computeTargets with the scores as of
+ * the end of the month before, and earn that month's returns. The benchmark holds the
+ * Asset Allocations weights, rebalanced monthly. Tickers with no return in a month (not
+ * listed yet) sit it out and the others are scaled up to fill in.
+ * start ('yyyy-MM') defaults to the first month where every ticker has a return.
+ * Returns [{ month, strategy, benchmark, turnover, benchmarkTurnover }], returns as fractions.
+ */
+function runBacktest(portfolio, history, prices, cfg, start) {
+  const { tickers, allocMap } = portfolio;
+  const monthlyReturn = (t, m) => {
+    const before = parseFloat(prices[t][addMonths(m, -1)]), after = parseFloat(prices[t][m]);
+    return before > 0 && after > 0 ? after / before - 1 : null;
+  };
+  const scored = Object.keys(history).filter(k => history[k].length);
+  const hasIndicators = m => scored.every(k => history[k][0].month <= addMonths(m, -1 - BACKTEST_RELEASE_LAG[k]));
+ 
+  const allMonths = Object.keys(tickers.reduce((seen, t) => Object.assign(seen, prices[t]), {})).sort();
+  const first = start
+    ? monthKey(start)
+    : allMonths.find(m => hasIndicators(m) && tickers.every(t => monthlyReturn(t, m) != null));
+  const months = allMonths.filter(m => first && m >= first && hasIndicators(m) &&
+                                       tickers.some(t => monthlyReturn(t, m) != null));
+  if (!months.length) throw new Error('No month has both indicator history and returns to backtest');
+ 
+  // Weights over the tickers that trade this month, summing to 1
+  const rescale = (weights, live) => {
+    const sum = live.reduce((s, t) => s + (weights[t] || 0), 0);
+    const out = {};
+    live.forEach(t => { out[t] = sum ? (weights[t] || 0) / sum : 1 / live.length; });
+    return out;
+  };
+  const turnover = (from, to) => from
+    ? tickers.reduce((s, t) => s + Math.abs((to[t] || 0) - (from[t] || 0)), 0) / 2
+    : 0;  // the initial purchase isn't turnover
+  const earn = (weights, m) => Object.keys(weights).reduce((s, t) => s + weights[t] * monthlyReturn(t, m), 0);
+  const drift = (weights, m, r) => {
+    const out = {};
+    Object.keys(weights).forEach(t => { out[t] = weights[t] * (1 + monthlyReturn(t, m)) / (1 + r); });
+    return out;
+  };
+ 
+  let held = null, heldBenchmark = null;
+  return months.map(m => {
+    const live = tickers.filter(t => monthlyReturn(t, m) != null);
+    const targets = {};
+    computeTargets(portfolio, scoresAsOf(history, addMonths(m, -1), cfg), cfg)
+      .forEach(r => { targets[r.ticker] = r.target; });
+    const weights = rescale(targets, live), benchmarkWeights = rescale(allocMap, live);
+ 
+    const row = {
+      month: m,
+      strategy: earn(weights, m),
+      benchmark: earn(benchmarkWeights, m),
+      turnover: turnover(held, weights),
+      benchmarkTurnover: turnover(heldBenchmark, benchmarkWeights)
+    };
+    held = drift(weights, m, row.strategy);
+    heldBenchmark = drift(benchmarkWeights, m, row.benchmark);
+    return row;
+  });
+}
+ 
+// CAGR, annualized volatility, max drawdown (negative), one-way turnover per year, growth of $1
+function backtestStats(returns, turnovers) {
+  const n = returns.length;
+  const mean = returns.reduce((a, r) => a + r, 0) / n;
+  const variance = n > 1 ? returns.reduce((a, r) => a + (r - mean) * (r - mean), 0) / (n - 1) : 0;
+  let value = 1, peak = 1, maxDrawdown = 0;
+  returns.forEach(r => {
+    value *= 1 + r;
+    peak = Math.max(peak, value);
+    maxDrawdown = Math.min(maxDrawdown, value / peak - 1);
+  });
+  return {
+    cagr: Math.pow(value, 12 / n) - 1,
+    volatility: Math.sqrt(variance * 12),
+    maxDrawdown,
+    turnover: turnovers.reduce((a, t) => a + t, 0) * 12 / n,
+    growth: value
+  };
+}
+ 
+/**
+ * =BACKTEST() compares the model with holding the Asset Allocations weights, using the
+ * current Config sheet and Asset Metadata (bands included). =BACKTEST("2015-01") starts
+ * there instead of the first month every ticker traded; =BACKTEST("2015-01", TRUE) spills
+ * month-by-month returns. Rates are fractions (format as %).
+ */
+function BACKTEST(startMonth, monthly) {
+  const portfolio = loadPortfolio();
+  const cfg = getConfig();
+  const rows = runBacktest(portfolio, loadIndicatorHistory(), loadBacktestPrices(portfolio.tickers), cfg, startMonth || null);
+ 
+  if (monthly) {
+    let model = 1, benchmark = 1;
+    return [['Month', 'Model', 'Static allocation', 'Model value', 'Static value', 'Turnover']].concat(rows.map(r => {
+      model *= 1 + r.strategy;
+      benchmark *= 1 + r.benchmark;
+      return [r.month, r.strategy, r.benchmark, model, benchmark, r.turnover];
+    }));
+  }
+ 
+  const s = backtestStats(rows.map(r => r.strategy), rows.map(r => r.turnover));
+  const b = backtestStats(rows.map(r => r.benchmark), rows.map(r => r.benchmarkTurnover));
+  const period = `${rows[0].month} to ${rows[rows.length - 1].month}`;
+  return [
+    ['', 'Model', 'Static allocation'],
+    ['Period', period, period],
+    ['Months', rows.length, rows.length],
+    ['CAGR', s.cagr, b.cagr],
+    ['Volatility (annualized)', s.volatility, b.volatility],
+    ['Max drawdown', s.maxDrawdown, b.maxDrawdown],
+    ['Turnover per year', s.turnover, b.turnover],
+    ['Growth of $1', s.growth, b.growth]
+  ];
+}
+
+
+// -----------------------------------------------------------------------------
+// Transactions import (CSV from browser-snippet.js / cli.js)
+// -----------------------------------------------------------------------------
+const TRANSACTIONS_SHEET = 'Transactions';
+const IMPORT_SHEET = 'Import';
+
+// The exporter's columns, in its order. Exports only include the optional ones they use,
+// so the sheet gains columns as imports bring them in.
+const TRANSACTION_COLUMNS = [
+  'Date', 'Description', 'Transaction', 'Debit', 'Credit', 'Total',
+  'Account', 'Section', 'Currency', 'Category', 'Payee', 'Type', 'Reference', 'Location',
+  'Original Amount', 'Original Currency', 'FX Rate', 'Transfer', 'Transfer Type'
+];
+const NUMERIC_COLUMNS = ['Debit', 'Credit', 'Total', 'Original Amount', 'FX Rate'];
+
+function onOpen() {
+  SpreadsheetApp.getUi()
+    .createMenu('Transactions')
+    .addItem('Import CSV from Drive…', 'importTransactionsFromDrivePrompt')
+    .addItem(`Import CSV pasted in '${IMPORT_SHEET}'!A:A`, 'importPastedTransactions')
+    .addToUi();
+}
+
+// Date | description | signed amount | transaction id, the same fields the exporter dedupes on.
+// Sheets turns dates and amounts into Date objects and numbers, so both are normalized.
+// Dates are read back in the spreadsheet's time zone (the one Sheets parsed them in),
+// which isn't necessarily the script's.
+function transactionKey(date, description, debit, credit, transactionId) {
+  const day = date instanceof Date
+    ? Utilities.formatDate(date, SpreadsheetApp.getActive().getSpreadsheetTimeZone(), 'yyyy-MM-dd')
+    : String(date).trim();
+  const amount = ((Number(credit) || 0) - (Number(debit) || 0)).toFixed(2);
+  return [day, String(description).trim(), amount, String(transactionId).trim()].join('|');
+}
+
+/**
+ * The CSV rows that aren't in the sheet yet, laid out in the sheet's columns (header).
+ * Identical rows inside one export (two coffees on the same day) are kept: the nth copy is
+ * only skipped if sheetRows already has n of them. Text starting with "=" gets a leading
+ * apostrophe so setValues writes it as text instead of a formula.
+ */
+function newTransactionRows(header, sheetRows, csvHeader, csvRows) {
+  const col = name => header.indexOf(name);
+  const existing = {};
+  sheetRows.forEach(r => {
+    const key = transactionKey(r[col('Date')], r[col('Description')], r[col('Debit')], r[col('Credit')],
+                               col('Transaction') >= 0 ? r[col('Transaction')] : '');
+    existing[key] = (existing[key] || 0) + 1;
+  });
+
+  const seen = {};
+  const fresh = [];
+  csvRows.forEach(r => {
+    const cell = name => (csvHeader.indexOf(name) < 0 ? '' : r[csvHeader.indexOf(name)]);
+    const key = transactionKey(cell('Date'), cell('Description'), cell('Debit'), cell('Credit'), cell('Transaction'));
+    seen[key] = (seen[key] || 0) + 1;
+    if (seen[key] <= (existing[key] || 0)) return;
+    fresh.push(header.map(name => {
+      const value = cell(name);
+      if (NUMERIC_COLUMNS.indexOf(name) >= 0 && value !== '') return Number(value);
+      return String(value).startsWith('=') ? `'${value}` : value;
+    }));
+  });
+  return fresh;
+}
+
+/**
+ * Appends the rows of an exported transactions CSV to the 'Transactions' sheet, skipping
+ * rows already there (see newTransactionRows). Returns a one-line summary.
+ */
+function importTransactionsCsv(csvText) {
+  const rows = Utilities.parseCsv(String(csvText).replace(/^\uFEFF/, '').trim());
+  if (!rows.length || rows[0].indexOf('Date') < 0 || rows[0].indexOf('Description') < 0) {
+    throw new Error('Not a transactions export: the first row needs Date and Description columns.');
+  }
+  const csvHeader = rows[0];
+  const csvRows = rows.slice(1).filter(r => r.some(cell => cell !== ''));
+
+  const ss = SpreadsheetApp.getActive();
+  const sh = ss.getSheetByName(TRANSACTIONS_SHEET) || ss.insertSheet(TRANSACTIONS_SHEET);
+
+  // Header: the exporter's order for a new sheet; new columns go on the right of an existing one.
+  let header = sh.getLastRow() ? sh.getRange(1, 1, 1, sh.getLastColumn()).getValues()[0] : [];
+  const order = name => (TRANSACTION_COLUMNS.indexOf(name) < 0 ? TRANSACTION_COLUMNS.length : TRANSACTION_COLUMNS.indexOf(name));
+  const added = csvHeader.filter(name => header.indexOf(name) < 0).sort((a, b) => order(a) - order(b));
+  if (added.length) {
+    header = header.concat(added);
+    sh.getRange(1, 1, 1, header.length).setValues([header]).setFontWeight('bold');
+    sh.setFrozenRows(1);
+  }
+  const col = name => header.indexOf(name);
+
+  const lastRow = sh.getLastRow();
+  const sheetRows = lastRow > 1 ? sh.getRange(2, 1, lastRow - 1, header.length).getValues() : [];
+  const fresh = newTransactionRows(header, sheetRows, csvHeader, csvRows);
+
+  if (fresh.length) {
+    const range = sh.getRange(sh.getLastRow() + 1, 1, fresh.length, header.length);
+    // Keep transaction ids like "0042" as text
+    if (col('Transaction') >= 0) range.offset(0, col('Transaction'), fresh.length, 1).setNumberFormat('@');
+    range.setValues(fresh);
+  }
+
+  const summary = `Imported ${fresh.length} new transactions; ${csvRows.length - fresh.length} were already in '${TRANSACTIONS_SHEET}'.`;
+  Logger.log(summary);
+  return summary;
+}
+
+/**
+ * Imports an exported CSV from Drive, by file id or exact file name.
+ * Run from the Transactions menu (it changes the sheet, so it can't be a cell formula).
+ */
+function importTransactionsFromDrive(fileIdOrName) {
+  let file;
+  try {
+    file = DriveApp.getFileById(fileIdOrName);
+  } catch (e) {
+    const files = DriveApp.getFilesByName(fileIdOrName);
+    if (!files.hasNext()) throw new Error(`No Drive file with id or name "${fileIdOrName}".`);
+    file = files.next();
+    if (files.hasNext()) Logger.log(`Several Drive files are named "${fileIdOrName}"; importing the first one.`);
+  }
+  return importTransactionsCsv(file.getBlob().getDataAsString('UTF-8'));
+}
+
+/**
+ * Imports CSV text pasted into the 'Import' sheet, then clears it. Pasting puts each line
+ * in its own row of column A (a single cell only holds 50,000 characters), so the lines
+ * are joined back together; the displayed text is used so Sheets' number and date parsing
+ * doesn't change anything.
+ */
+function importPastedTransactions() {
+  const sh = SpreadsheetApp.getActive().getSheetByName(IMPORT_SHEET);
+  const lines = sh && sh.getLastRow() ? sh.getRange(1, 1, sh.getLastRow(), 1).getDisplayValues().map(r => r[0]) : [];
+  const text = lines.join('\n').trim();
+  if (!text) throw new Error(`Paste the CSV file's contents into '${IMPORT_SHEET}'!A1 first.`);
+  const summary = importTransactionsCsv(text);
+  sh.getRange(1, 1, lines.length, 1).clearContent();
+  SpreadsheetApp.getActive().toast(summary, 'Transactions');
+  return summary;
+}
+
+function importTransactionsFromDrivePrompt() {
+  const ui = SpreadsheetApp.getUi();
+  const answer = ui.prompt('Import transactions', 'Drive file name or id of the exported CSV:', ui.ButtonSet.OK_CANCEL);
+  if (answer.getSelectedButton() !== ui.Button.OK || !answer.getResponseText().trim()) return;
+  try {
+    SpreadsheetApp.getActive().toast(importTransactionsFromDrive(answer.getResponseText().trim()), 'Transactions');
+  } catch (e) {
+    ui.alert(`Import failed: ${e.message}`);
+  }
 }
 
 
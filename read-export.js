@@ -0,0 +1,105 @@
+// Reads CSV files written by browser-snippet.js or cli.js back into the same records the
+// exporter works with (amounts in cents), so exports can be post-processed in Node.
+
+const fs = require('fs');
+const path = require('path');
+const snippet = require('./browser-snippet.js');
+
+// Exports always write YYYY-MM-DD; anything else can't be sorted or matched by date.
+const readDate = (text) => {
+  const time = Date.parse(text);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(time) || new Date(time).toISOString().slice(0, 10) !== text) {
+    throw new Error(`"${text}" is not a YYYY-MM-DD date.`);
+  }
+  return text;
+};
+
+// Column name to record field, and how to read the cell. Unknown columns are ignored.
+const COLUMN_FIELDS = {
+  Date: ['date', readDate],
+  Description: ['description', String],
+  Transaction: ['transactionId', String],
+  Debit: ['debit', snippet.parseCents],
+  Credit: ['credit', snippet.parseCents],
+  Total: ['total', snippet.parseCents],
+  Account: ['account', String],
+  Section: ['section', String],
+  Currency: ['currency', String],
+  Category: ['category', String],
+  Payee: ['payee', String],
+  Type: ['type', String],
+  Reference: ['reference', String],
+  Location: ['location', String],
+  'Original Amount': ['originalAmount', snippet.parseCents],
+  'Original Currency': ['originalCurrency', String],
+  'FX Rate': ['fxRate', text => (text ? Number(text) : undefined)],
+  Transfer: ['transferId', text => text || undefined],
+  'Transfer Type': ['transferType', text => text || undefined],
+};
+
+// RFC 4180: quoted fields may hold commas, doubled quotes and newlines.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(Boolean));
+};
+
+// Single-account exports have no Account column; `account` (the file name, by default)
+// fills it in so rows from different files stay apart.
+const readExport = (text, { account = '' } = {}) => {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header || !header.includes('Date') || !header.includes('Description')) {
+    throw new Error('Not an rbc-to-csv export: the first row needs Date and Description columns.');
+  }
+  return rows.map((cells, index) => {
+    const record = { account };
+    header.forEach((name, column) => {
+      const [field, read] = COLUMN_FIELDS[name] || [];
+      if (!field) return;
+      try {
+        const value = read(cells[column] ?? '');
+        if (value !== undefined) record[field] = value;
+      } catch (error) {
+        throw new Error(`Row ${index + 2}, ${name}: ${error.message}`);
+      }
+    });
+    return record;
+  });
+};
+
+const readExportFile = file =>
+  readExport(fs.readFileSync(file, 'utf8'), { account: path.basename(file, path.extname(file)) });
+
+module.exports = { parseCsv, readExport, readExportFile };
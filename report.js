@@ -0,0 +1,179 @@
+// Monthly, category and payee totals from exported transactions, with budget vs. actual,
+// as a pivot-friendly CSV or a printable HTML page. Transfers between your own accounts
+// (see transfers.js) are left out unless asked for, since they aren't income or spending.
+
+const { formatCents, toCsvLine } = require('./browser-snippet.js');
+
+const UNCATEGORIZED = 'Uncategorized';
+const REFUND_PATTERN = /refund|remboursement|return|retour|reversal|annulation/i;
+
+// { "Groceries": 600, "Dining out": 150 }: monthly budget in dollars per category.
+const parseBudget = (text) => {
+  let budget;
+  try {
+    budget = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Could not read budget: ${error.message}`);
+  }
+  if (!budget || typeof budget !== 'object' || Array.isArray(budget)) {
+    throw new Error('Budget must be a JSON object of category: monthly dollars.');
+  }
+  return Object.fromEntries(Object.entries(budget).map(([category, dollars]) => {
+    if (typeof dollars !== 'number' || !Number.isFinite(dollars) || dollars < 0) {
+      throw new Error(`Budget for "${category}" must be a positive number of dollars, got ${JSON.stringify(dollars)}.`);
+    }
+    return [category, Math.round(dollars * 100)];
+  }));
+};
+
+// A refund lowers expenses instead of counting as income.
+const addTo = (totals, key, record, isRefund) => {
+  const entry = totals.get(key) || { income: 0, expenses: 0, count: 0 };
+  if (isRefund) {
+    entry.expenses -= record.credit || 0;
+  } else {
+    entry.income += record.credit || 0;
+  }
+  entry.expenses += record.debit || 0;
+  entry.count++;
+  totals.set(key, entry);
+};
+
+// Returns { months, categories, payees, budget } with amounts in cents. A credit whose
+// description says it's a refund comes off expenses rather than adding to income; any
+// other credit is income, whatever its category. `spent` is expenses net of income, so a
+// category's budget row also nets out credits; budget rows compare it.
+const buildReport = (records, { budget = {}, includeTransfers = false } = {}) => {
+  const included = includeTransfers ? records : records.filter(record => !record.transferId);
+  const isRefund = record => Boolean(record.credit) && REFUND_PATTERN.test(record.description);
+  const byMonth = new Map();
+  const byCategory = new Map();
+  const byPayee = new Map();
+
+  included.forEach((record) => {
+    const month = record.date.slice(0, 7);
+    const category = record.category || UNCATEGORIZED;
+    const refund = isRefund(record);
+    addTo(byMonth, month, record, refund);
+    addTo(byCategory, `${month}|${category}`, record, refund);
+    addTo(byPayee, record.payee || record.description, record, refund);
+  });
+
+  const withNet = entry => ({ ...entry, net: entry.income - entry.expenses, spent: entry.expenses - entry.income });
+  const monthList = [...byMonth.keys()].sort();
+
+  const months = monthList.map(month => ({ month, ...withNet(byMonth.get(month)) }));
+  const categories = [...byCategory].map(([key, entry]) => {
+    const [month, category] = key.split('|');
+    return { month, category, ...withNet(entry) };
+  }).sort((a, b) => a.month.localeCompare(b.month) || b.expenses - a.expenses);
+  const payees = [...byPayee].map(([payee, entry]) => ({ payee, ...withNet(entry) }))
+    .sort((a, b) => b.expenses - a.expenses || a.payee.localeCompare(b.payee));
+
+  // Every budgeted category shows up every month, even with nothing spent.
+  const budgetRows = monthList.flatMap(month => Object.entries(budget).map(([category, limit]) => {
+    const spent = categories.find(row => row.month === month && row.category === category)?.spent || 0;
+    return { month, category, budget: limit, spent, remaining: limit - spent };
+  }));
+
+  const excluded = records.length - included.length;
+  if (excluded) {
+    console.log(`Left ${excluded} transfer rows out of the report.`);
+  }
+  return { months, categories, payees, budget: budgetRows };
+};
+
+// One long table, so a spreadsheet pivot can slice it any way. Payee rows cover the whole period.
+const renderReportCsv = ({ months, categories, payees, budget }) => [
+  toCsvLine(['Report', 'Month', 'Name', 'Income', 'Expenses', 'Net', 'Budget', 'Remaining']),
+  ...months.map(row => toCsvLine(['month', row.month, '', formatCents(row.income), formatCents(row.expenses), formatCents(row.net), '', ''])),
+  ...categories.map(row => toCsvLine(['category', row.month, row.category, formatCents(row.income), formatCents(row.expenses), formatCents(row.net), '', ''])),
+  ...payees.map(row => toCsvLine(['payee', 'all', row.payee, formatCents(row.income), formatCents(row.expenses), formatCents(row.net), '', ''])),
+  ...budget.map(row => toCsvLine(['budget', row.month, row.category, '', formatCents(row.spent), '', formatCents(row.budget), formatCents(row.remaining)])),
+].join('\n');
+
+const escapeHtml = text =>
+  String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+
+const PAYEE_LIMIT = 25;
+
+const REPORT_STYLE = `
+  body { font: 13px/1.4 system-ui, sans-serif; margin: 2em; color: #222; }
+  h1 { font-size: 20px; } h2 { font-size: 16px; margin-top: 2em; }
+  table { border-collapse: collapse; margin-top: 0.5em; }
+  th, td { border-bottom: 1px solid #ddd; padding: 3px 10px; text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  tfoot td { font-weight: bold; border-top: 2px solid #222; }
+  .over { color: #b00020; font-weight: bold; }
+  @media print { body { margin: 0; } h2 { break-after: avoid; } table { break-inside: auto; } }
+`;
+
+const htmlTable = (headers, rows, footer) => [
+  '<table>',
+  `<thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>`,
+  '<tbody>',
+  ...rows.map(cells => `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`),
+  '</tbody>',
+  footer ? `<tfoot><tr>${footer.map(cell => `<td>${cell}</td>`).join('')}</tr></tfoot>` : '',
+  '</table>',
+].join('\n');
+
+// Categories down the side, months across, spending (net of refunds) in each cell.
+const renderReportHtml = ({ months, categories, payees, budget }, { title = 'Spending report' } = {}) => {
+  const monthList = months.map(row => row.month);
+  const sum = (rows, field) => rows.reduce((total, row) => total + row[field], 0);
+  const categoryNames = [...new Set(categories.map(row => row.category))]
+    .sort((a, b) => sum(categories.filter(row => row.category === b), 'spent') - sum(categories.filter(row => row.category === a), 'spent'));
+  const spentIn = (category, month) => categories.find(row => row.category === category && row.month === month)?.spent || 0;
+  const period = monthList.length ? `${monthList[0]} to ${monthList[monthList.length - 1]}` : 'no transactions';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${REPORT_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}, ${escapeHtml(period)}</h1>
+
+<h2>Income and expenses</h2>
+${htmlTable(
+    ['Month', 'Income', 'Expenses', 'Net'],
+    months.map(row => [row.month, formatCents(row.income), formatCents(row.expenses), formatCents(row.net)]),
+    ['Total', formatCents(sum(months, 'income')), formatCents(sum(months, 'expenses')), formatCents(sum(months, 'net'))],
+  )}
+
+<h2>Spending by category</h2>
+${htmlTable(
+    ['Category', ...monthList, 'Total'],
+    categoryNames.map(category => [
+      escapeHtml(category),
+      ...monthList.map(month => formatCents(spentIn(category, month))),
+      formatCents(sum(categories.filter(row => row.category === category), 'spent')),
+    ]),
+  )}
+${budget.length ? `
+<h2>Budget vs. actual</h2>
+${htmlTable(
+    ['Month', 'Category', 'Budget', 'Spent', 'Remaining'],
+    budget.map(row => [
+      row.month,
+      escapeHtml(row.category),
+      formatCents(row.budget),
+      formatCents(row.spent),
+      row.remaining < 0 ? `<span class="over">${formatCents(row.remaining)}</span>` : formatCents(row.remaining),
+    ]),
+  )}
+` : ''}
+<h2>Top payees</h2>
+${htmlTable(
+    ['Payee', 'Transactions', 'Expenses', 'Income'],
+    payees.slice(0, PAYEE_LIMIT).map(row => [escapeHtml(row.payee), row.count, formatCents(row.expenses), formatCents(row.income)]),
+  )}
+</body>
+</html>
+`;
+};
+
+module.exports = { parseBudget, buildReport, renderReportCsv, renderReportHtml };
@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseCardText, renderCsv } = require('../card-text-parser.js');
+
+const pasted = fs.readFileSync(path.join(__dirname, 'fixtures', 'credit-card.txt'), 'utf8');
+
+const quiet = t => t.mock.method(console, 'warn', () => {});
+
+test('card text: multi-line descriptions, refunds and payments', (t) => {
+  quiet(t);
+  const { records, skipped } = parseCardText(pasted);
+  assert.deepEqual(skipped, []);
+  assert.deepEqual(records.map(({ date, description, debit, credit }) => ({ date, description, debit, credit })), [
+    { date: '2025-06-07', description: 'UBER CANADA/UBERTRIP TORONTO ON', debit: 1840, credit: null },
+    { date: '2025-06-04', description: 'AMAZON.CA REFUND', debit: null, credit: 3299 },
+    { date: '2025-06-03', description: 'AMAZON.COM*AB12C SEATTLE WA', debit: 1691, credit: null },
+    { date: '2025-06-02', description: '7-ELEVEN 1234', debit: 456, credit: null },
+    { date: '2025-06-01', description: 'PAYMENT - THANK YOU', debit: null, credit: 123456 },
+  ]);
+});
+
+test('card text: pending and posted headings and posting dates', (t) => {
+  quiet(t);
+  const { records } = parseCardText(pasted, { cardDate: 'posted' });
+  assert.deepEqual(records.map(record => record.section), ['pending', 'posted', 'posted', 'posted', 'posted']);
+  assert.deepEqual(records.map(record => record.date), ['2025-06-07', '2025-06-05', '2025-06-04', '2025-06-03', '2025-06-02']);
+});
+
+test('card text: foreign-currency lines are kept out of the description', (t) => {
+  quiet(t);
+  const record = parseCardText(pasted).records[2];
+  assert.equal(record.originalAmount, 1234);
+  assert.equal(record.originalCurrency, 'USD');
+  assert.equal(record.fxRate, 1.37);
+});
+
+test('card text: US-dollar cards get a Currency column', (t) => {
+  quiet(t);
+  const { records } = parseCardText('Jun 2, 2025\nAMAZON.COM\nUS$12.34');
+  assert.equal(records[0].currency, 'USD');
+  assert.equal(records[0].debit, 1234);
+  assert.match(renderCsv(records), /^"Date",.*"Total","Currency",.*\n.*"12\.34","","","USD",/);
+});
+
+test('card text: tab-separated rows without headings', (t) => {
+  quiet(t);
+  const { records } = parseCardText([
+    'Transaction Date\tPosting Date\tDescription\tAmount',
+    'Jun 2, 2025\tJun 3, 2025\tTIM HORTONS #1234\t$4.56',
+    '1er juin 2025\t\tDÉPANNEUR 12,34\t3,00 $ CR',
+  ].join('\n'));
+  assert.deepEqual(records.map(({ date, description, debit, credit, section }) => ({ date, description, debit, credit, section })), [
+    { date: '2025-06-02', description: 'TIM HORTONS #1234', debit: 456, credit: null, section: 'posted' },
+    { date: '2025-06-01', description: 'DÉPANNEUR 12,34', debit: null, credit: 300, section: 'pending' },
+  ]);
+});
+
+test('card text: rows without an amount are reported, not guessed', (t) => {
+  quiet(t);
+  const { records, skipped } = parseCardText('Jun 2, 2025\nTIM HORTONS\nJun 1, 2025\nCOSTCO\n$10.00\nstray line');
+  assert.deepEqual(records.map(record => record.description), ['COSTCO']);
+  assert.deepEqual(skipped.map(entry => entry.row), [1, 6]);
+});
+
+test('card text: CSV uses the snippet\'s columns', (t) => {
+  quiet(t);
+  const [header, first] = renderCsv(parseCardText(pasted).records).split('\n');
+  assert.equal(header, '"Date","Description","Transaction","Debit","Credit","Total","Section","Payee","Type","Reference","Location","Original Amount","Original Currency","FX Rate"');
+  assert.match(first, /^"2025-06-07","UBER CANADA\/UBERTRIP TORONTO ON","","18.40","","","pending",/);
+});
@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+const runCli = (...args) =>
+  execFileSync(process.execPath, [CLI, ...args], { cwd: FIXTURES, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+
+test('cli: converts saved pages to CSV on stdout', () => {
+  const lines = runCli('chequing.html').trim().split('\n');
+  assert.equal(lines[0], '"Date","Description","Transaction","Debit","Credit","Total","Section","Payee","Type","Reference","Location"');
+  assert.equal(lines.length, 5);
+});
+
+test('cli: rows from a page given twice are only exported once', () => {
+  const records = JSON.parse(runCli('--format', 'json', 'credit-card.html', 'chequing.html', 'credit-card.html'));
+  assert.deepEqual(records.map(record => record.accountType), [
+    'card', 'card', 'card', 'card', 'bank', 'bank', 'bank', 'bank',
+  ]);
+  assert.equal(records[0].debit, 18.4);
+});
+
+test('cli: JSON amounts are all in dollars, foreign ones included', () => {
+  const records = JSON.parse(runCli('-f', 'json', 'foreign-currency.html'));
+  const amazon = records.find(record => record.description.startsWith('AMAZON'));
+  assert.equal(amazon.debit, 16.91);
+  assert.equal(amazon.originalAmount, 12.34);
+  assert.equal(amazon.originalCurrency, 'USD');
+  assert.ok(!('originalAmount' in records[0]));
+});
+
+test('cli: --from and --direction narrow the export', () => {
+  const records = JSON.parse(runCli('-f', 'json', '--from', '2025-06-03', '--direction', 'debit', 'chequing.html'));
+  assert.deepEqual(records.map(record => record.description), [
+    'Interac purchase - 4821 SOBEYS #512',
+    'e-Transfer sent - 7310 J SMITH',
+  ]);
+});
+
+test('cli: transfers marks both sides of a card payment in one CSV', () => {
+  const lines = runCli('transfers', 'exports/chequing.csv', 'exports/visa.csv').trim().split('\n');
+  assert.equal(lines[0], '"Date","Description","Transaction","Debit","Credit","Total","Account","Transfer","Transfer Type"');
+  assert.equal(lines.filter(line => line.includes('"T20250605-123456","card payment"')).length, 2);
+});
+
+test('cli: report writes an HTML page with budget vs. actual', () => {
+  const html = runCli('report', '-f', 'html', '--budget', 'exports/budget.json', '--rules', 'exports/rules.json',
+    'exports/chequing.csv', 'exports/visa.csv', 'exports/savings.csv');
+  assert.match(html, /<tr><td>2025-06<\/td><td>Dining<\/td><td>10\.00<\/td><td>4\.56<\/td><td>5\.44<\/td><\/tr>/);
+});
+
+test('cli: report rejects a --window that isn\'t a number of days', () => {
+  assert.throws(() => runCli('report', '--window', 'abc', 'exports/chequing.csv', 'exports/visa.csv'), { status: 1 });
+});
+
+test('cli: a page without transaction tables is skipped, not fatal', () => {
+  const lines = runCli('chequing.html', 'empty.html').trim().split('\n');
+  assert.equal(lines.length, 5);
+  assert.match(lines[1], /SOBEYS/);
+});
+
+test('cli: pasted card text comes out as RbcCardText.renderCsv writes it', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const { parseCardText, renderCsv } = require('../card-text-parser.js');
+  const { records } = parseCardText(fs.readFileSync(path.join(FIXTURES, 'credit-card.txt'), 'utf8'));
+  assert.equal(runCli('credit-card.txt'), `${renderCsv(records)}\n`);
+});
+
+test('cli: format_cc.sh reads pasted card text whatever the extension', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rbc-to-csv-'));
+  try {
+    const file = path.join(dir, 'visa.dat');
+    fs.copyFileSync(path.join(FIXTURES, 'credit-card.txt'), file);
+    const csv = execFileSync('bash', [path.join(__dirname, '..', 'format_cc.sh'), file],
+      { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+    assert.equal(csv, runCli('credit-card.txt'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
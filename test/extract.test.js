@@ -0,0 +1,137 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { snippet, loadFixture, extractFixture, quietConsole } = require('./helpers');
+
+const { CONFIG, findTransactionTables, isCreditCardTable, mapColumns, extractTransactions } = snippet;
+
+// Just the fields extractTransactions produces, for compact comparisons.
+const rowsOf = records =>
+  records.map(({ date, description, transactionId, debit, credit, total }) =>
+    ({ date, description, transactionId, debit, credit, total }));
+
+test('chequing: pending and posted tables are both found and labelled', (t) => {
+  quietConsole(t);
+  const tables = findTransactionTables(loadFixture('chequing'));
+  assert.deepEqual(
+    tables.map(({ account, accountNumber, section }) => ({ account, accountNumber, section })),
+    [
+      { account: 'RBC Day to Day Banking 01234-5678901', accountNumber: '012345678901', section: 'pending' },
+      { account: 'RBC Day to Day Banking 01234-5678901', accountNumber: '012345678901', section: 'posted' },
+    ],
+  );
+  assert.equal(isCreditCardTable(tables[1].table), false);
+});
+
+test('chequing: rows come out with dates from ids and amounts in cents', (t) => {
+  quietConsole(t);
+  const { records, skipped } = extractFixture('chequing');
+  assert.deepEqual(skipped, []);
+  assert.deepEqual(rowsOf(records), [
+    { date: '2025-06-06', description: 'Interac purchase - 4821 SOBEYS #512', transactionId: '4821', debit: 5678, credit: null, total: null },
+    { date: '2025-06-05', description: 'e-Transfer sent - 7310 J SMITH', transactionId: '7310', debit: 20000, credit: null, total: 356544 },
+    { date: '2025-06-03', description: 'Payroll Deposit EXAMPLE CORP', transactionId: '', debit: null, credit: 250000, total: 376544 },
+    { date: '2025-06-02', description: 'Online Banking payment - 1234 VISA', transactionId: '1234', debit: 123456, credit: null, total: 126544 },
+  ]);
+  assert.deepEqual(records.map(record => record.accountType), ['bank', 'bank', 'bank', 'bank']);
+});
+
+test('savings: a table without headers falls back to the usual column order', (t) => {
+  quietConsole(t);
+  const { records, skipped } = extractFixture('savings');
+  assert.deepEqual(skipped, []);
+  assert.equal(mapColumns(findTransactionTables(loadFixture('savings'))[0].table), null);
+  assert.deepEqual(rowsOf(records), [
+    { date: '2025-05-31', description: 'Deposit interest', transactionId: '', debit: null, credit: 412, total: 1050412 },
+    { date: '2025-05-15', description: 'Online transfer to deposit account - 2468', transactionId: '2468', debit: 50000, credit: null, total: 1050000 },
+    { date: '2025-05-01', description: 'Online Banking transfer - 1357', transactionId: '1357', debit: null, credit: 100000, total: 1100000 },
+  ]);
+});
+
+test('savings: OFX exports say SAVINGS, chequing stays CHECKING', (t) => {
+  quietConsole(t);
+  const ofx = snippet.getFormat('ofx');
+  assert.match(ofx.render(extractFixture('savings').records, { accountType: 'bank' }), /<ACCTTYPE>SAVINGS<\/ACCTTYPE>/);
+  assert.match(ofx.render(extractFixture('chequing').records, { accountType: 'bank' }), /<ACCTTYPE>CHECKING<\/ACCTTYPE>/);
+});
+
+test('credit card: refunds and payments land in Credit, pending rows keep their transaction date', (t) => {
+  quietConsole(t);
+  const { records, skipped } = extractFixture('credit-card');
+  assert.deepEqual(skipped, []);
+  assert.deepEqual(rowsOf(records), [
+    { date: '2025-06-07', description: 'UBER CANADA/UBERTRIP TORONTO ON', transactionId: '', debit: 1840, credit: null, total: null },
+    { date: '2025-06-04', description: 'AMAZON.CA REFUND', transactionId: '', debit: null, credit: 3299, total: null },
+    { date: '2025-06-02', description: 'TIM HORTONS #1234 OTTAWA ON', transactionId: '', debit: 456, credit: null, total: null },
+    { date: '2025-06-01', description: 'PAYMENT - THANK YOU', transactionId: '', debit: null, credit: 123456, total: null },
+  ]);
+  assert.deepEqual(records.map(record => record.accountType), ['card', 'card', 'card', 'card']);
+});
+
+test('credit card: CONFIG.cardDate picks the posting date, falling back for pending rows', (t) => {
+  quietConsole(t);
+  CONFIG.cardDate = 'posted';
+  t.after(() => { CONFIG.cardDate = 'transaction'; });
+  const { records } = extractFixture('credit-card');
+  assert.deepEqual(records.map(record => record.date), ['2025-06-07', '2025-06-05', '2025-06-03', '2025-06-02']);
+});
+
+test('french: headers, dates and amounts are read from a French page', (t) => {
+  quietConsole(t);
+  const { records, skipped } = extractFixture('french');
+  assert.deepEqual(skipped, []);
+  assert.deepEqual(rowsOf(records), [
+    { date: '2025-07-01', description: 'Dépôt de paie EXEMPLE INC', transactionId: '', debit: null, credit: 250000, total: 373456 },
+    { date: '2025-06-03', description: 'Paiement de facture - 1234 HYDRO-QUÉBEC', transactionId: '1234', debit: 123456, credit: null, total: 123456 },
+    { date: '2025-06-02', description: 'Virement Interac - 5678 M TREMBLAY', transactionId: '5678', debit: null, credit: 246912, total: 246912 },
+  ]);
+  assert.equal(records[0].section, 'posted');
+});
+
+test('columns are mapped by header, so a reordered table still extracts', (t) => {
+  quietConsole(t);
+  const document = loadFixture('chequing');
+  const table = findTransactionTables(document)[1].table;
+  table.querySelectorAll('tr').forEach(row => row.append(row.children[1]));
+  assert.deepEqual(mapColumns(table), { date: 0, debit: 1, credit: 2, total: 3, description: 4 });
+  assert.equal(extractTransactions(table)[0].description, 'e-Transfer sent - 7310 J SMITH');
+});
+
+test('a table whose headers cannot be mapped is skipped with a diagnostic', (t) => {
+  quietConsole(t);
+  const document = loadFixture('chequing');
+  document.querySelectorAll('thead th').forEach((cell, index) => { cell.textContent = `Column ${index}`; });
+
+  const skipped = [];
+  const records = findTransactionTables(document).flatMap(table => snippet.extractTable(table, skipped));
+  assert.deepEqual(records, []);
+  assert.equal(skipped.length, 2);
+  assert.equal(skipped[0].row, 'all');
+  assert.match(skipped[0].reason, /missing date, description, amount/);
+  assert.match(skipped[0].reason, /"Column 1" → \?/);
+});
+
+test('foreign currency: original amount and rate come out of the description and amount cells', (t) => {
+  quietConsole(t);
+  const { records, skipped } = extractFixture('foreign-currency');
+  assert.deepEqual(skipped, []);
+  const card = records.filter(record => record.accountType === 'card');
+  assert.deepEqual(
+    card.map(({ description, debit, originalAmount, originalCurrency, fxRate }) =>
+      ({ description, debit, originalAmount, originalCurrency, fxRate })),
+    [
+      { description: 'AMAZON.COM*AB12C SEATTLE WA', debit: 1691, originalAmount: 1234, originalCurrency: 'USD', fxRate: 1.37 },
+      { description: 'HOTEL PARIS', debit: 15000, originalAmount: 15000, originalCurrency: 'EUR', fxRate: 1.48 },
+      { description: 'TIM HORTONS #1234', debit: 456, originalAmount: undefined, originalCurrency: undefined, fxRate: undefined },
+    ],
+  );
+});
+
+test('foreign currency: US-dollar accounts are marked and get a Currency column', (t) => {
+  quietConsole(t);
+  const { records } = extractFixture('foreign-currency');
+  assert.deepEqual(records.map(record => record.currency), ['USD', 'CAD', 'CAD', 'CAD']);
+  const [header, usd] = snippet.renderCsv(records).split('\n');
+  assert.equal(header, '"Date","Description","Transaction","Debit","Credit","Total","Account","Currency","Original Amount","Original Currency","FX Rate"');
+  assert.match(usd, /"RBC U\.S\. Personal Account 05555-4444333","USD","","",""$/);
+  assert.doesNotMatch(snippet.renderCsv(extractFixture('chequing').records), /Currency/);
+});
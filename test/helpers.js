@@ -0,0 +1,30 @@
+// Shared setup for the tests: the snippet's functions and saved RBC pages loaded into jsdom.
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const snippet = require('../browser-snippet.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// Parses test/fixtures/<name>.html and returns its document.
+const loadFixture = (name, url = 'https://www1.royalbank.com/sgw1/olb/index-en/#/summary') => {
+  const html = fs.readFileSync(path.join(FIXTURES, `${name}.html`), 'utf8');
+  return new JSDOM(html, { url }).window.document;
+};
+
+// Extracts every transaction table on a fixture page, the way the snippet does on the live site.
+const extractFixture = (name, options) => {
+  const skipped = [];
+  const records = snippet.findTransactionTables(loadFixture(name, options?.url))
+    .flatMap(table => snippet.extractTable(table, skipped));
+  return { records, skipped };
+};
+
+// The snippet reports everything it does to the console; keep test output readable.
+const quietConsole = (t) => {
+  ['log', 'warn', 'error', 'table'].forEach(method => t.mock.method(console, method, () => {}));
+};
+
+module.exports = { snippet, loadFixture, extractFixture, quietConsole };
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { snippet } = require('./helpers');
+
+const { parseMoney, parseCents, formatCents, parseDisplayDate, parseDescription } = snippet;
+
+test('parseMoney reads English and French amounts into cents', () => {
+  assert.deepEqual(parseMoney('$1,234.56'), { cents: 123456, currency: '' });
+  assert.deepEqual(parseMoney('1 234,56 $'), { cents: 123456, currency: '' });
+  assert.deepEqual(parseMoney('US$12.30'), { cents: 1230, currency: 'USD' });
+  assert.equal(parseCents('4'), 400);
+});
+
+test('parseMoney treats minus, parentheses and CR as negative', () => {
+  assert.equal(parseCents('-$20.00'), -2000);
+  assert.equal(parseCents('($20.00)'), -2000);
+  assert.equal(parseCents('$20.00 CR'), -2000);
+  assert.equal(parseCents('$20.00 DR'), 2000);
+});
+
+test('parseMoney returns null for empty cells and throws on anything else', () => {
+  assert.equal(parseMoney(''), null);
+  assert.equal(parseMoney('  '), null);
+  assert.throws(() => parseMoney('N/A'), /Could not parse amount "N\/A"/);
+  assert.throws(() => parseMoney('1,2,3'));
+  assert.throws(() => parseMoney('0.123'), /Could not parse amount "0.123"/);
+  assert.throws(() => parseMoney('0,123,456'));
+});
+
+test('formatCents writes dollars with two decimals', () => {
+  assert.equal(formatCents(123456), '1234.56');
+  assert.equal(formatCents(-5), '-0.05');
+  assert.equal(formatCents(null), '');
+});
+
+test('parseDisplayDate understands RBC date formats in both languages', () => {
+  assert.equal(parseDisplayDate('Jun 3, 2025'), '2025-06-03');
+  assert.equal(parseDisplayDate('June 3 2025'), '2025-06-03');
+  assert.equal(parseDisplayDate('Sept. 14, 2025'), '2025-09-14');
+  assert.equal(parseDisplayDate('3 juin 2025'), '2025-06-03');
+  assert.equal(parseDisplayDate('1er juil. 2025'), '2025-07-01');
+  assert.equal(parseDisplayDate('15 août 2025'), '2025-08-15');
+  assert.equal(parseDisplayDate('2025-06-03'), '2025-06-03');
+  assert.equal(parseDisplayDate('Jun 3'), '');
+  assert.equal(parseDisplayDate(undefined), '');
+});
+
+test('parseDescription splits type, payee, reference and location', () => {
+  assert.deepEqual(parseDescription('Point of Sale - Interac RETAIL PURCHASE 000001234567 TIM HORTONS #1234 TORONTO ON'),
+    { type: 'Interac purchase', payee: 'Tim Hortons', reference: '000001234567', location: 'TORONTO ON' });
+  assert.deepEqual(parseDescription('Interac purchase - 4821 SOBEYS #512', '4821'),
+    { type: 'Interac purchase', payee: 'Sobeys', reference: '4821', location: '' });
+  assert.deepEqual(parseDescription('Contactless Interac purchase - 1234 STARBUCKS', '1234'),
+    { type: 'Interac purchase', payee: 'Starbucks', reference: '1234', location: '' });
+  assert.deepEqual(parseDescription('Payroll Deposit EXAMPLE CORP'),
+    { type: 'Payroll deposit', payee: 'Example Corp', reference: '', location: '' });
+  assert.deepEqual(parseDescription('Mystery thing'), { type: '', payee: 'Mystery thing', reference: '', location: '' });
+});
+
+test('parseDescription tells e-Transfers and refunds from Interac purchases', () => {
+  assert.equal(parseDescription('Interac e-Transfer Sent JANE').type, 'e-Transfer');
+  assert.equal(parseDescription('Interac e-Transfer Sent JANE').payee, 'Jane');
+  assert.equal(parseDescription('e-Transfer sent - 7310 J SMITH', '7310').payee, 'J Smith');
+  assert.equal(parseDescription('Virement Interac envoyé MARIE').type, 'e-Transfer');
+  assert.equal(parseDescription('Interac refund - 5555 BEST BUY', '5555').type, 'Interac refund');
+});
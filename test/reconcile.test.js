@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { snippet, extractFixture, quietConsole } = require('./helpers');
+
+const { reconcileRecords } = snippet;
+
+const row = (date, description, amount, total, section = 'posted') => ({
+  account: 'Chequing',
+  date,
+  description,
+  debit: amount < 0 ? -amount : null,
+  credit: amount > 0 ? amount : null,
+  total,
+  section,
+});
+
+// Oldest first: 1000.00, then -50.00, +200.00 and -25.00
+const oldestFirst = () => [
+  row('2025-06-01', 'Opening', 0, 100000),
+  row('2025-06-02', 'GROCERY', -5000, 95000),
+  row('2025-06-03', 'Payroll', 20000, 115000),
+  row('2025-06-03', 'COFFEE', -2500, 112500),
+];
+
+test('reconcile: a page that adds up has no problems, newest- or oldest-first', (t) => {
+  quietConsole(t);
+  assert.deepEqual(reconcileRecords(extractFixture('chequing').records, 'warn'), []);
+  assert.deepEqual(reconcileRecords(oldestFirst(), 'warn'), []);
+  assert.deepEqual(reconcileRecords(oldestFirst().reverse(), 'warn'), []);
+});
+
+test('reconcile: a missing row shows up as a mismatch, and abort refuses to export', (t) => {
+  quietConsole(t);
+  const records = oldestFirst().filter(record => record.description !== 'GROCERY');
+  assert.deepEqual(reconcileRecords(records, 'warn'), [{
+    account: 'Chequing',
+    date: '2025-06-03',
+    description: 'Payroll',
+    expected: '1200.00',
+    total: '1150.00',
+    difference: '-50.00',
+  }]);
+  assert.throws(() => reconcileRecords(records, 'abort'), /Export aborted/);
+  assert.deepEqual(reconcileRecords(records, 'off'), []);
+});
+
+test('reconcile: rows without a Total carry the balance, and old pending rows are flagged', (t) => {
+  quietConsole(t);
+  const records = oldestFirst();
+  records[1].total = null;
+  records.push(row('2025-06-01', 'STUCK', -1000, null, 'pending'));
+  assert.deepEqual(reconcileRecords(records, 'warn'), [{
+    account: 'Chequing',
+    date: '2025-06-01',
+    description: 'STUCK',
+    note: 'pending item older than the newest posted row (2025-06-03)',
+  }]);
+});
+
+test('reconcile: same-day rows keep the page\'s order', (t) => {
+  quietConsole(t);
+  const records = oldestFirst();
+  [records[2], records[3]] = [records[3], records[2]];
+  assert.equal(reconcileRecords(records, 'warn').length, 2);
+});
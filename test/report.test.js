@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { readExportFile } = require('../read-export.js');
+const { matchTransfers } = require('../transfers.js');
+const { parseBudget, buildReport, renderReportCsv, renderReportHtml } = require('../report.js');
+
+const EXPORTS = path.join(__dirname, 'fixtures', 'exports');
+
+// The three fixture exports, with transfers matched and a few categories filled in.
+const loadRecords = (t) => {
+  t.mock.method(console, 'log', () => {});
+  const categories = { COSTCO: 'Groceries', 'TIM HORTONS': 'Dining', Payroll: 'Income' };
+  return matchTransfers(['chequing', 'visa', 'savings'].flatMap(name => readExportFile(path.join(EXPORTS, `${name}.csv`))))
+    .map((record) => {
+      const match = Object.keys(categories).find(text => record.description.includes(text));
+      return match ? { ...record, category: categories[match] } : record;
+    });
+};
+
+test('report: income and expenses by month leave transfers out and net refunds', (t) => {
+  const { months } = buildReport(loadRecords(t));
+  assert.deepEqual(months, [{ month: '2025-06', income: 250000, expenses: 456, count: 4, net: 249544, spent: -249544 }]);
+});
+
+test('report: uncategorized credits are income unless they look like refunds', () => {
+  const { months } = buildReport([
+    { date: '2025-06-01', description: 'SHOP', debit: 2000, credit: null },
+    { date: '2025-06-02', description: 'SHOP RETURN', debit: null, credit: 500 },
+    { date: '2025-06-03', description: 'e-Transfer from A FRIEND', debit: null, credit: 1000 },
+  ]);
+  assert.deepEqual(months[0], { month: '2025-06', income: 1000, expenses: 1500, count: 3, net: -500, spent: 500 });
+});
+
+test('report: credits in a category with spending are income unless they look like refunds', () => {
+  const { months, categories } = buildReport([
+    { date: '2025-06-01', description: 'Payroll Deposit', category: 'Salary', debit: null, credit: 500000 },
+    { date: '2025-06-02', description: 'Payroll correction', category: 'Salary', debit: 1000, credit: null },
+  ]);
+  assert.deepEqual(months[0], { month: '2025-06', income: 500000, expenses: 1000, count: 2, net: 499000, spent: -499000 });
+  assert.equal(categories[0].spent, -499000);
+});
+
+test('report: transfers count when asked', (t) => {
+  const { months } = buildReport(loadRecords(t), { includeTransfers: true });
+  assert.equal(months[0].expenses, 456 + 123456 + 50000);
+});
+
+test('report: categories net refunds against spending', (t) => {
+  const { categories } = buildReport(loadRecords(t));
+  assert.deepEqual(categories.map(({ category, spent }) => ({ category, spent })), [
+    { category: 'Dining', spent: 456 },
+    { category: 'Groceries', spent: 0 },
+    { category: 'Income', spent: -250000 },
+  ]);
+});
+
+test('report: budget vs. actual for every budgeted category', (t) => {
+  const budget = parseBudget(fs.readFileSync(path.join(EXPORTS, 'budget.json'), 'utf8'));
+  assert.deepEqual(budget, { Groceries: 40000, Dining: 1000 });
+  assert.deepEqual(buildReport(loadRecords(t), { budget: { ...budget, Transit: 5000 } }).budget, [
+    { month: '2025-06', category: 'Groceries', budget: 40000, spent: 0, remaining: 40000 },
+    { month: '2025-06', category: 'Dining', budget: 1000, spent: 456, remaining: 544 },
+    { month: '2025-06', category: 'Transit', budget: 5000, spent: 0, remaining: 5000 },
+  ]);
+  assert.throws(() => parseBudget('{"Groceries": "lots"}'), /Groceries.*positive number/);
+  assert.throws(() => parseBudget('[]'), /JSON object/);
+});
+
+test('report: CSV is one long table and HTML is a standalone page', (t) => {
+  const summary = buildReport(loadRecords(t), { budget: { Dining: 1000 } });
+  const lines = renderReportCsv(summary).split('\n');
+  assert.equal(lines[0], '"Report","Month","Name","Income","Expenses","Net","Budget","Remaining"');
+  assert.ok(lines.includes('"budget","2025-06","Dining","","4.56","","10.00","5.44"'));
+  assert.ok(lines.includes('"payee","all","TIM HORTONS","0.00","4.56","-4.56","",""'));
+
+  const html = renderReportHtml(summary);
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.match(html, /<h2>Budget vs\. actual<\/h2>/);
+  assert.match(html, /<td>Dining<\/td><td>4\.56<\/td><td>4\.56<\/td>/);
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { snippet, quietConsole } = require('./helpers');
+
+const { CONFIG, loadSettings, saveSettings, resetSettings } = snippet;
+
+// The snippet only touches getItem, setItem and removeItem.
+const fakeStorage = (t) => {
+  const items = new Map();
+  globalThis.localStorage = {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+  };
+  const original = JSON.parse(JSON.stringify({ format: CONFIG.format, filters: CONFIG.filters }));
+  t.after(() => {
+    delete globalThis.localStorage;
+    CONFIG.format = original.format;
+    Object.assign(CONFIG.filters, original.filters);
+  });
+  return items;
+};
+
+test('settings: panel choices come back on the next run, and Reset goes back to CONFIG', (t) => {
+  quietConsole(t);
+  fakeStorage(t);
+  loadSettings();
+  CONFIG.format = 'ofx';
+  CONFIG.filters.include = ['coffee'];
+  saveSettings();
+
+  CONFIG.format = 'csv';
+  CONFIG.filters.include = [];
+  loadSettings();
+  assert.equal(CONFIG.format, 'ofx');
+  assert.deepEqual(CONFIG.filters.include, ['coffee']);
+
+  resetSettings();
+  assert.equal(CONFIG.format, 'csv');
+  assert.deepEqual(CONFIG.filters.include, []);
+  assert.equal(globalThis.localStorage.getItem('rbc-to-csv:settings'), null);
+});
+
+test('settings: a CONFIG value edited since the save wins over the saved one', (t) => {
+  quietConsole(t);
+  fakeStorage(t);
+  loadSettings();
+  CONFIG.format = 'ofx';
+  CONFIG.filters.direction = 'debit';
+  saveSettings();
+
+  // The script is edited to say json, and run again
+  CONFIG.format = 'json';
+  CONFIG.filters.direction = 'all';
+  loadSettings();
+  assert.equal(CONFIG.format, 'json');
+  assert.equal(CONFIG.filters.direction, 'debit');
+});
+
+test('settings: invalid saved values are ignored with a warning', (t) => {
+  quietConsole(t);
+  const items = fakeStorage(t);
+  loadSettings();
+  const config = { 'filters.include': [], 'filters.minAmount': 0, 'filters.from': '' };
+  items.set('rbc-to-csv:settings', JSON.stringify({
+    version: 2,
+    config,
+    values: { 'filters.include': 'coffee', 'filters.minAmount': -5, 'filters.from': '2025-02-01' },
+  }));
+  loadSettings();
+  assert.deepEqual(CONFIG.filters.include, []);
+  assert.equal(CONFIG.filters.minAmount, 0);
+  assert.equal(CONFIG.filters.from, '2025-02-01');
+  assert.equal(console.warn.mock.callCount(), 2);
+});
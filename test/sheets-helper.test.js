@@ -0,0 +1,247 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// googleSheetsHelper.v2.js is an Apps Script file: load it into a context with the two
+// services its top level touches. Only the pure functions are tested here.
+const loadSheetsHelper = () => {
+  const context = {
+    PropertiesService: { getScriptProperties: () => ({ getProperty: () => null }) },
+    Logger: { log: () => {} },
+  };
+  vm.createContext(context);
+  const file = path.join(__dirname, '..', 'googleSheetsHelper.v2.js');
+  vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  return context;
+};
+
+const sheets = loadSheetsHelper();
+// Objects from the script's context have its prototypes, which deepEqual would compare.
+const plain = value => JSON.parse(JSON.stringify(value));
+const sum = weights => Object.values(weights).reduce((a, w) => a + w, 0);
+const defaults = () => sheets.readConfigRows([]).config;
+const NEUTRAL = { unemployment: 0, usCPI: 0, canCPI: 0, canGDP: 0, vix: 0, yieldCurve: 0, creditSpread: 0 };
+
+const portfolio = (allocMap, overrides = {}) => ({
+  tickers: Object.keys(allocMap),
+  allocMap,
+  classMap: {},
+  regionMap: {},
+  sensMap: {},
+  floorMap: {},
+  ceilingMap: {},
+  ...overrides,
+});
+
+test('readConfigRows: an invalid repeat reports the value still in effect', () => {
+  const { config, problems } = sheets.readConfigRows([['weights.vix', 1.5], ['weights.vix', 'abc']]);
+  assert.equal(config.WEIGHTS.vix, 1.5);
+  assert.equal(problems.length, 2);
+  assert.match(problems[1], /^weights\.vix: .*; using 1\.5$/);
+});
+
+test('readConfigRows: "%" only applies to fractions, and booleans read yes/no and on/off', () => {
+  const { config, problems } = sheets.readConfigRows([
+    ['rebalancing.minThreshold', '0.5%'],
+    ['rebalancing.maxSingleMove', 0.2],
+    ['weights.vix', '50%'],
+    ['thresholds.cpi.high', '4%'],
+    ['rebalancing.volatilityAdjustment', 'off'],
+    ['rebalancing.balanceConstraint', 'no'],
+  ]);
+  assert.equal(config.REBALANCING.minThreshold, 0.005);
+  assert.equal(config.REBALANCING.maxSingleMove, 0.2);
+  assert.equal(config.WEIGHTS.vix, defaults().WEIGHTS.vix);
+  assert.equal(config.THRESHOLDS.cpi.high, defaults().THRESHOLDS.cpi.high);
+  assert.equal(config.REBALANCING.volatilityAdjustment, false);
+  assert.equal(config.REBALANCING.balanceConstraint, false);
+  assert.deepEqual(plain(problems.map(p => p.split(':')[0])), ['weights.vix', 'thresholds.cpi.high']);
+  assert.match(problems[0], /only fractions can be percentages/);
+});
+
+test('readConfigRows: a minThreshold of 0.5 is rejected, not read as 50%', () => {
+  const { config, problems } = sheets.readConfigRows([['rebalancing.minThreshold', 0.5]]);
+  assert.equal(config.REBALANCING.minThreshold, 0.005);
+  assert.deepEqual(plain(problems), ['rebalancing.minThreshold: must be between 0% and 10%, got 50%; using 0.005']);
+});
+
+test('allocationBounds: the tighter of the band and the max move wins', () => {
+  const cfg = defaults();
+  cfg.REBALANCING.maxSingleMove = 0.1;  // of the weight: 50% may go from 45% to 55%
+  const p = portfolio({ A: 0.5, B: 0.5 }, { floorMap: { A: 0.48 }, ceilingMap: { B: 0.52 } });
+  assert.deepEqual(plain(sheets.allocationBounds('A', p, cfg, true)), {
+    lo: { value: 0.48, rule: 'floor' },
+    hi: { value: 0.55, rule: 'max move' },
+  });
+  assert.deepEqual(plain(sheets.allocationBounds('B', p, cfg, true)), {
+    lo: { value: 0.45, rule: 'max move' },
+    hi: { value: 0.52, rule: 'ceiling' },
+  });
+  assert.deepEqual(plain(sheets.allocationBounds('B', p, cfg, false)), {
+    lo: { value: 0, rule: 'floor' },
+    hi: { value: 0.52, rule: 'ceiling' },
+  });
+});
+
+test('maxMoveRange: the max move is a fraction of the weight, and 0% is unlimited', () => {
+  assert.deepEqual(plain(sheets.maxMoveRange(0.1, 0.15)), { lo: 0.085, hi: 0.115 });
+  const none = sheets.maxMoveRange(0, 0.15);
+  assert.equal(none.lo, -Infinity);
+  assert.equal(none.hi, Infinity);
+});
+
+test('applyAllocationBounds: pins both sides and rescales the rest to 100%', () => {
+  const free = { lo: { value: 0, rule: 'floor' }, hi: { value: 1, rule: 'ceiling' } };
+  const { weights, binding } = sheets.applyAllocationBounds({ A: 0.6, B: 0.3, C: 0.1 }, {
+    A: { lo: free.lo, hi: { value: 0.5, rule: 'ceiling' } },
+    B: free,
+    C: { lo: { value: 0.2, rule: 'floor' }, hi: free.hi },
+  });
+  assert.equal(weights.A, 0.5);
+  assert.ok(Math.abs(weights.B - 0.3) < 1e-9);
+  assert.equal(weights.C, 0.2);
+  assert.ok(Math.abs(sum(weights) - 1) < 1e-9);
+  assert.deepEqual(plain(binding), { A: 'ceiling', C: 'floor' });
+});
+
+test('applyAllocationBounds: bounds that can\'t add up to 100% are an error', () => {
+  const cap = { lo: { value: 0, rule: 'floor' }, hi: { value: 0.3, rule: 'ceiling' } };
+  assert.throws(() => sheets.applyAllocationBounds({ A: 0.5, B: 0.5 }, { A: cap, B: cap }), /can't add up to 100%/);
+});
+
+test('computeTargets: floors over 100% are an error', () => {
+  const p = portfolio({ A: 0.5, B: 0.5 }, { floorMap: { A: 0.6, B: 0.6 } });
+  assert.throws(() => sheets.computeTargets(p, NEUTRAL, defaults()), /floors add up to more than 100%/);
+});
+
+test('computeTargets: no weight moves more than maxSingleMove', () => {
+  const cfg = defaults();
+  cfg.REBALANCING.maxSingleMove = 0.04;
+  const bullish = Object.fromEntries(Object.keys(NEUTRAL).map(k => [k, 2]));
+  const p = portfolio({ EQ: 0.5, BOND: 0.3, CASH: 0.2 }, {
+    classMap: { EQ: 'Equity', BOND: 'Defensive', CASH: 'Defensive' },
+    regionMap: { EQ: 'U.S.', BOND: 'Canada', CASH: 'Canada' },
+    sensMap: { EQ: 2 },
+  });
+  const rows = sheets.computeTargets(p, bullish, cfg);
+  rows.forEach(row => assert.ok(Math.abs(row.target - row.current) <= 0.04 * row.current + 1e-9, row.ticker));
+  assert.ok(Math.abs(rows.reduce((a, row) => a + row.target, 0) - 1) < 1e-9);
+  const eq = rows.find(row => row.ticker === 'EQ');
+  assert.ok(Math.abs(eq.target - 0.52) < 1e-9);
+  assert.equal(eq.binding, 'max move');
+});
+
+test('rebalancePlanRows: amounts in dollars only when there is a portfolio value', () => {
+  const cfg = defaults();
+  const targets = [
+    { ticker: 'EQ', current: 0.5, target: 0.52, change: 0.04, regionScore: 1.6, binding: 'max move' },
+    { ticker: 'BOND', current: 0.5, target: 0.48, change: -0.04, regionScore: -0.3, binding: '' },
+    { ticker: 'CASH', current: 0, target: 0, change: 0, regionScore: 0, binding: '' },
+  ];
+  assert.deepEqual(plain(sheets.rebalancePlanRows(targets, cfg, '10000')), [
+    ['Ticker', 'Current', 'Target', 'Change', 'Amount', 'Signal', 'Confidence', 'Constraint'],
+    ['EQ', 0.5, 0.52, 0.04, 200, 'Increase 4.00%', 'High', 'max move'],
+    ['BOND', 0.5, 0.48, -0.04, -200, 'Decrease 4.00%', 'Low', ''],
+    ['CASH', 0, 0, 0, 0, 'Hold', 'None', ''],
+  ]);
+  assert.deepEqual(plain(sheets.rebalancePlanRows(targets, cfg, '').map(row => row[4])), ['Amount', '', '', '']);
+});
+
+test('buildTradeList: sells first, and buys cut short by cash say so', () => {
+  const cfg = defaults();
+  cfg.REBALANCING.maxSingleMove = 1;  // C may sell out
+  const prices = {
+    A: { price: 10, currency: 'CAD', fxRate: 1 },
+    B: { price: 105, currency: 'CAD', fxRate: 1 },
+    C: { price: 20, currency: 'USD', fxRate: 1.25 },
+  };
+  // $250 in C and $750 cash: selling C and buying A leave $90.10, not enough for one B
+  const rows = plain(sheets.buildTradeList([
+    { ticker: 'A', target: 0.895, binding: 'ceiling' },
+    { ticker: 'B', target: 0.105, binding: '' },
+    { ticker: 'C', target: 0, binding: '' },
+  ], { C: { shares: 10 } }, prices, 750, cfg));
+  assert.deepEqual(rows, [
+    ['Action', 'Ticker', 'Shares', 'Price', 'Amount', 'Commission', 'Note'],
+    ['Sell', 'C', 10, 20, 250, 9.95, 'USD @ 1.2500'],
+    ['Buy', 'A', 89, 10, 890, 9.95, 'ceiling'],
+    ['Cash', '', '', '', 90.1, 19.9, 'left over; 1 buy skipped for lack of cash'],
+  ]);
+});
+
+test('buildTradeList: moves are capped at maxSingleMove of the weight in Holdings', () => {
+  const prices = { A: { price: 10, currency: 'CAD', fxRate: 1 }, B: { price: 10, currency: 'CAD', fxRate: 1 } };
+  // 50/50 now; the default 15% lets the plan's 80/20 only get as far as 57.5/42.5
+  const rows = plain(sheets.buildTradeList([
+    { ticker: 'A', target: 0.8, binding: '' },
+    { ticker: 'B', target: 0.2, binding: 'floor' },
+  ], { A: { shares: 500 }, B: { shares: 500 } }, prices, 0, defaults()));
+  assert.deepEqual(rows.slice(1), [
+    ['Sell', 'B', 75, 10, 750, 9.95, 'max move'],
+    ['Buy', 'A', 73, 10, 730, 9.95, 'max move; limited by cash (wanted 75)'],
+    ['Cash', '', '', '', 0.1, 19.9, 'left over'],
+  ]);
+});
+
+test('buildTradeList: trades under minTradeValue are skipped for their size', () => {
+  const prices = { A: { price: 10, currency: 'CAD', fxRate: 1 }, B: { price: 10, currency: 'CAD', fxRate: 1 } };
+  const rows = plain(sheets.buildTradeList([
+    { ticker: 'A', target: 0.52, binding: '' },
+    { ticker: 'B', target: 0.48, binding: '' },
+  ], { A: { shares: 100 }, B: { shares: 100 } }, prices, 0, defaults()));
+  assert.deepEqual(rows.slice(1), [['Cash', '', '', '', 0, 0, 'left over; 2 trades under $100 skipped']]);
+});
+
+test('backtestStats: CAGR, max drawdown and turnover on a known series', () => {
+  const stats = sheets.backtestStats([0.1, -0.5, 0.5, 0.2], [0, 0.1, 0.2, 0.3]);
+  // 1 → 1.1 → 0.55 → 0.825 → 0.99: the worst fall is 1.1 to 0.55
+  assert.ok(Math.abs(stats.growth - 0.99) < 1e-12);
+  assert.ok(Math.abs(stats.cagr - (Math.pow(0.99, 3) - 1)) < 1e-12);
+  assert.ok(Math.abs(stats.maxDrawdown + 0.5) < 1e-12);
+  assert.ok(Math.abs(stats.turnover - 1.8) < 1e-12);
+
+  const steady = sheets.backtestStats(Array(12).fill(0.01), Array(12).fill(0));
+  assert.ok(Math.abs(steady.cagr - (Math.pow(1.01, 12) - 1)) < 1e-12);
+  assert.equal(steady.maxDrawdown, 0);
+  assert.ok(steady.volatility < 1e-12);
+});
+
+test('runBacktest: with no signal the model holds the allocation and matches the benchmark', () => {
+  const history = Object.fromEntries(Object.keys(NEUTRAL).map(k => [k, []]));
+  const prices = {
+    A: { '2024-12': 100, '2025-01': 110, '2025-02': 99, '2025-03': 99 },
+    B: { '2024-12': 50, '2025-01': 50, '2025-02': 55, '2025-03': 60.5 },
+  };
+  const rows = sheets.runBacktest(portfolio({ A: 0.5, B: 0.5 }), history, prices, defaults(), null);
+  assert.deepEqual(plain(rows.map(row => row.month)), ['2025-01', '2025-02', '2025-03']);
+  // Rebalanced to 50/50 every month: half of each ticker's return
+  const expected = [0.05, 0, 0.05];
+  rows.forEach((row, i) => {
+    assert.ok(Math.abs(row.benchmark - expected[i]) < 1e-12, row.month);
+    assert.ok(Math.abs(row.strategy - expected[i]) < 1e-12, row.month);
+  });
+  assert.equal(rows[0].turnover, 0);
+});
+
+test('transactionKey: amounts from the sheet and the CSV give the same key', () => {
+  assert.equal(sheets.transactionKey('2025-06-03', ' TIM HORTONS ', 4.5, '', '0042'), '2025-06-03|TIM HORTONS|-4.50|0042');
+  assert.equal(sheets.transactionKey('2025-06-03', 'TIM HORTONS', '4.50', '', '0042'), '2025-06-03|TIM HORTONS|-4.50|0042');
+  assert.equal(sheets.transactionKey('2025-06-04', 'REFUND', '', '12', ''), '2025-06-04|REFUND|12.00|');
+});
+
+test('newTransactionRows: only copies beyond what the sheet has are added', () => {
+  const header = ['Date', 'Description', 'Debit', 'Credit'];
+  const coffee = ['2025-06-03', 'TIM HORTONS', '4.50', ''];
+  const sheetRows = [['2025-06-03', 'TIM HORTONS', 4.5, '']];
+  // Two coffees that day, one already imported; the refund is new
+  const rows = sheets.newTransactionRows(header, sheetRows, header, [coffee, coffee, ['2025-06-04', 'REFUND', '', '12']]);
+  assert.deepEqual(plain(rows), [['2025-06-03', 'TIM HORTONS', 4.5, ''], ['2025-06-04', 'REFUND', '', 12]]);
+});
+
+test('newTransactionRows: rows follow the sheet\'s columns, and formulas stay text', () => {
+  const header = ['Date', 'Category', 'Description', 'Debit', 'Credit'];
+  const rows = sheets.newTransactionRows(header, [], ['Date', 'Description', 'Debit'], [['2025-06-03', '=HYPERLINK("x")', '10']]);
+  assert.deepEqual(plain(rows), [['2025-06-03', '', '\'=HYPERLINK("x")', 10, '']]);
+});
@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { parseCsv, readExport, readExportFile } = require('../read-export.js');
+const { matchTransfers, excludeTransfers } = require('../transfers.js');
+
+const EXPORTS = path.join(__dirname, 'fixtures', 'exports');
+const readAll = () => ['chequing', 'visa', 'savings'].flatMap(name => readExportFile(path.join(EXPORTS, `${name}.csv`)));
+
+test('parseCsv handles quotes, doubled quotes, newlines and CRLF', () => {
+  assert.deepEqual(parseCsv('"a","b ""c"""\r\n"1,2","line\nbreak"\r\n'), [['a', 'b "c"'], ['1,2', 'line\nbreak']]);
+});
+
+test('readExport turns an export back into records in cents', () => {
+  const [record] = readExport([
+    '"Date","Description","Transaction","Debit","Credit","Total","Account","Original Amount","FX Rate","Mystery"',
+    '"2025-06-03","AMAZON","","16.91","","","RBC Visa","12.34","1.37","ignored"',
+  ].join('\n'), { account: 'file-name' });
+  assert.deepEqual(record, {
+    account: 'RBC Visa',
+    date: '2025-06-03',
+    description: 'AMAZON',
+    transactionId: '',
+    debit: 1691,
+    credit: null,
+    total: null,
+    originalAmount: 1234,
+    fxRate: 1.37,
+  });
+  assert.throws(() => readExport('"a","b"\n"1","2"'), /Not an rbc-to-csv export/);
+});
+
+test('readExport rejects dates that aren\'t YYYY-MM-DD', () => {
+  const header = '"Date","Description","Debit"';
+  ['06/03/2025', '2025-02-30', ''].forEach((date) => {
+    assert.throws(() => readExport(`${header}\n"${date}","AMAZON","16.91"`), /^Error: Row 2, Date: .* is not a YYYY-MM-DD date\.$/);
+  });
+});
+
+test('transfers: card payments and transfers are paired across accounts', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const matched = matchTransfers(readAll()).filter(record => record.transferId);
+  assert.deepEqual(matched.map(({ account, description, transferId, transferType }) => ({ account, description, transferId, transferType })), [
+    { account: 'chequing', description: 'Online Banking payment - 1234 VISA', transferId: 'T20250605-123456', transferType: 'card payment' },
+    { account: 'chequing', description: 'Online transfer to deposit account - 2468', transferId: 'T20250604-50000', transferType: 'transfer' },
+    { account: 'visa', description: 'PAYMENT - THANK YOU', transferId: 'T20250605-123456', transferType: 'card payment' },
+    { account: 'savings', description: 'Online Banking transfer - 2468', transferId: 'T20250604-50000', transferType: 'transfer' },
+  ]);
+});
+
+test('transfers: same amounts without a transfer-like description, or too far apart, are left alone', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const records = readAll();
+  const costco = matchTransfers(records).filter(record => /COSTCO/.test(record.description));
+  assert.deepEqual(costco.map(record => record.transferId), [undefined, undefined]);
+  assert.equal(matchTransfers(records, { windowDays: 0 }).filter(record => record.transferId).length, 2);
+});
+
+test('transfers: excludeTransfers drops both sides', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const kept = excludeTransfers(matchTransfers(readAll()));
+  assert.deepEqual(kept.map(record => record.description), [
+    'Interac purchase - 9999 COSTCO',
+    'Payroll Deposit EXAMPLE CORP',
+    'COSTCO REFUND',
+    'TIM HORTONS',
+  ]);
+});
+
+test('transfers: rows without a readable date are never matched', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const warn = t.mock.method(console, 'warn', () => {});
+  const matched = matchTransfers([
+    { account: 'chequing', date: 'unknown', description: 'Online transfer - 2468', debit: 50000 },
+    { account: 'savings', date: '2025-06-04', description: 'Online Banking transfer - 2468', credit: 50000 },
+  ]);
+  assert.deepEqual(matched.map(record => record.transferId), [undefined, undefined]);
+  assert.equal(warn.mock.callCount(), 1);
+});
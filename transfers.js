@@ -0,0 +1,67 @@
+// Finds money moving between your own accounts: a transfer from chequing to savings, or a
+// Visa payment that is a debit in chequing and a credit on the card. Left alone, both sides
+// count as spending or income. Matched rows share a transferId (the Transfer column).
+
+const TRANSFER_PATTERN = /transfer|virement|payment|paiement|thank you|merci|e-transfer|cross-border|online banking|banque en ligne/i;
+const CARD_PAYMENT_PATTERN = /visa|mastercard|master card|amex|american express|credit card|carte de crédit|payment - thank you|paiement - merci/i;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysBetween = (a, b) => Math.abs(Date.parse(a) - Date.parse(b)) / DAY_MS;
+const hasDate = record => !Number.isNaN(Date.parse(record.date));
+
+// Pairs each debit with a credit of the same amount in another account, no more than
+// windowDays apart, where at least one side's description looks like a transfer or payment.
+// Closest dates (then descriptions on both sides) win. Rows without a readable date are
+// never matched. Returns copies of the records with transferId and transferType
+// ('transfer' or 'card payment') set on matched rows.
+const matchTransfers = (records, { windowDays = 3 } = {}) => {
+  const undated = records.filter(record => !hasDate(record)).length;
+  if (undated) {
+    console.warn(`${undated} rows have no readable date and weren't checked for transfers.`);
+  }
+
+  const candidates = [];
+  records.forEach((debitRecord, debitIndex) => {
+    if (!debitRecord.debit || !hasDate(debitRecord)) return;
+    records.forEach((creditRecord, creditIndex) => {
+      if (creditRecord.credit !== debitRecord.debit || creditRecord.account === debitRecord.account) return;
+      if (!hasDate(creditRecord)) return;
+      if ((creditRecord.currency || 'CAD') !== (debitRecord.currency || 'CAD')) return;
+
+      const days = daysBetween(debitRecord.date, creditRecord.date);
+      const hints = [debitRecord, creditRecord].filter(record => TRANSFER_PATTERN.test(record.description)).length;
+      if (days > windowDays || !hints) return;
+      candidates.push({ debitIndex, creditIndex, days, hints });
+    });
+  });
+  candidates.sort((a, b) => a.days - b.days || b.hints - a.hints);
+
+  const matched = records.map(record => ({ ...record }));
+  const usedIds = new Map();
+  let pairs = 0;
+  candidates.forEach(({ debitIndex, creditIndex }) => {
+    const debitRecord = matched[debitIndex];
+    const creditRecord = matched[creditIndex];
+    if (debitRecord.transferId || creditRecord.transferId) return;
+
+    // Stable across runs: the debit's date and amount, with a counter for same-day repeats.
+    const baseId = `T${debitRecord.date.replace(/-/g, '')}-${debitRecord.debit}`;
+    const count = (usedIds.get(baseId) || 0) + 1;
+    usedIds.set(baseId, count);
+    const transferId = count > 1 ? `${baseId}-${count}` : baseId;
+
+    const isCardPayment = debitRecord.accountType === 'card' || creditRecord.accountType === 'card'
+      || [debitRecord, creditRecord].some(record => CARD_PAYMENT_PATTERN.test(record.description));
+    const transferType = isCardPayment ? 'card payment' : 'transfer';
+    Object.assign(debitRecord, { transferId, transferType });
+    Object.assign(creditRecord, { transferId, transferType });
+    pairs++;
+  });
+
+  console.log(`Matched ${pairs} transfers and card payments across ${new Set(records.map(record => record.account)).size} accounts.`);
+  return matched;
+};
+
+const excludeTransfers = records => records.filter(record => !record.transferId);
+
+module.exports = { matchTransfers, excludeTransfers };